@@ -0,0 +1,637 @@
+/**
+ * BattleEngine - Turn-based bullet-hell confrontations
+ *
+ * A boss is data (public/data/bosses/<id>.json): its phases and the HP at
+ * which each begins, the attacks and quotes it uses there, the ACT
+ * options the player has and what each one says and does. `patterns`
+ * holds each attack as steps for BulletPatterns.js, and a phase's
+ * optional `tuning` ({ speed, density, damage, pace }) scales the ones it
+ * uses.
+ *
+ * The run's difficulty (Difficulty.js) scales the player's HP, the
+ * bullets and the determination second chance. A boss with `skip` can
+ * be skipped: its `outcomes` ([{ when?, outcome }], first match) decide
+ * from the player's stats and flags how the fight would have ended, and
+ * that outcome is recorded as if it had been fought. The engine
+ * owns the rules - HP, turns, counters, streaks, items, phase changes,
+ * determination and the three outcomes - and knows nothing about the DOM.
+ * The tape supplies a host that draws it, the same split as ScriptRunner.
+ *
+ *   const boss = await loadBoss('the_wall');
+ *   const battle = new Battle(boss, game, host);
+ *   await battle.start();
+ *   // ACT button →  battle.act('talk')
+ *   // game loop  →  field.update(); battle.hit(damage) / battle.graze()
+ *
+ * Battle stats start as a copy of the engine's stats; the fight pushes
+ * that copy around and only the outcome goes back to the engine. Boss
+ * conditions use the shared language in Condition.js, where stat names
+ * read the battle's copy, plus:
+ *
+ *   boss_phase  current phase (1-based)     boss_hp    boss HP as a percentage
+ *   player_hp   player HP as a percentage   turn, streak, items (left)
+ *   <counter>   any act counter, e.g. talks, fights
+ *
+ * Acts (resolved in order, first match wins):
+ *   tiers    [{ when?, text, damage, <stat>: delta, cue, spare }]
+ *   lines    texts picked by the act's counter (the current phase's
+ *            `lines[act]` if the act has none)
+ * Fields on the act itself (damage, stat deltas, text, cue) are defaults
+ * for whichever one is picked. `damage` is a number or
+ *   { when?, base, add: [{ stat, per }|{ stat, times }] }
+ * `streak` is "build", "keep" or (default) "break". An act with
+ * "kind": "item" uses up the boss's items instead.
+ *
+ * Host:
+ *   say(html)                         dialogue
+ *   sheepy(mood, text)
+ *   acts(list)                        offer [{ id, label, type, disabled }]
+ *   lock()                            no acts until the next offer
+ *   result?(actId, result)            feedback for a resolved act
+ *   phase?(number, phaseDef)          the boss changes form
+ *   attack(name, quote) → Promise     run boss.patterns[name] to the end
+ *   determination?() → Promise        the second-chance cinematic
+ *   halt() / resume()                 stop / restart the game loop
+ *   end(outcome) → Promise            'mercy' | 'fight' | 'defeat'
+ *   update()                          redraw HP and stats
+ *   sound?(name), sleep?(ms)
+ *
+ * @version 1.0.0
+ */
+
+import { getDifficulty } from './Difficulty.js';
+
+// Resolved against this module so the tapes work wherever the site is served from
+const BOSS_DIR = new URL('../../data/bosses/', import.meta.url);
+
+const DEFAULT_BOUNDS = { min: 0, max: 100 };
+
+// Condition names a battle adds on top of its stats and act counters
+const DERIVED = {
+  boss_phase: s => s.phase,
+  boss_hp: s => (s.bossHp * 100) / s.bossMaxHp,
+  player_hp: s => (s.playerHp * 100) / s.playerMaxHp,
+  turn: s => s.turn,
+  streak: s => s.streak,
+  items: s => s.items.filter(item => !item.used).length
+};
+const BATTLE_STATS = Object.keys(DERIVED);
+
+// How a battle can end; the boss's `decision` has one option per outcome
+const OUTCOMES = ['mercy', 'fight', 'defeat'];
+
+/**
+ * Fetch and sanity-check a boss definition
+ */
+async function loadBoss(bossId) {
+  const url = new URL(`${bossId}.json`, BOSS_DIR).href;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load ${url}`);
+
+  const boss = await response.json();
+  if (!Array.isArray(boss?.phases) || !boss.phases.length) throw new Error(`${url} has no phases`);
+  if (!Array.isArray(boss.acts)) throw new Error(`${url} has no acts`);
+
+  for (const phase of boss.phases) {
+    const missing = (phase.attacks || []).filter(name => !boss.patterns?.[name]);
+    if (missing.length) console.warn(`${url}: ${phase.name} uses unknown patterns: ${missing.join(', ')}`);
+  }
+  for (const entry of boss.skip?.outcomes || []) {
+    if (!OUTCOMES.includes(entry.outcome)) console.warn(`${url}: skip has unknown outcome "${entry.outcome}"`);
+  }
+  return boss;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// BULLETS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Bullet positions, movement and collision. Drawing is the renderer's:
+ *   { spawn?(bullet), move?(bullet), remove?(bullet) }
+ */
+class BulletField {
+  #bullets = [];
+  #bounds;
+  #renderer;
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.bounds - () => { width, height } of the arena
+   * @param {Object} [options.renderer]
+   */
+  constructor({ bounds, renderer = {} }) {
+    this.#bounds = bounds;
+    this.#renderer = renderer;
+  }
+
+  get bullets() {
+    return this.#bullets;
+  }
+
+  spawn(type, x, y, vx, vy, { text = null, size = 10, damage = 1 } = {}) {
+    const bullet = { type, x, y, vx, vy, text, size, damage, age: 0, grazed: false };
+    this.#bullets.push(bullet);
+    this.#renderer.spawn?.(bullet);
+    return bullet;
+  }
+
+  /**
+   * Advance one frame; bullets leave once off the arena or too old
+   */
+  update() {
+    const { width, height } = this.#bounds();
+
+    for (let i = this.#bullets.length - 1; i >= 0; i--) {
+      const b = this.#bullets[i];
+      b.x += b.vx;
+      b.y += b.vy;
+      b.age++;
+      this.#renderer.move?.(b);
+      if (b.x < -40 || b.x > width + 40 || b.y < -40 || b.y > height + 40 || b.age > 600) {
+        this.#remove(i);
+      }
+    }
+  }
+
+  /**
+   * Test a point (the player's centre) against every bullet. A bullet
+   * can be grazed once; the first hit is removed and stops the test.
+   * Returns { grazes: bullet[], hit: bullet | null }.
+   */
+  collide(x, y, { hitRadius = 5, grazeDistance = 18 } = {}) {
+    const grazes = [];
+
+    for (let i = this.#bullets.length - 1; i >= 0; i--) {
+      const b = this.#bullets[i];
+      const dist = Math.hypot(b.x + b.size / 2 - x, b.y + b.size / 2 - y);
+      const reach = b.size / 2 + hitRadius;
+
+      if (dist < reach) {
+        this.#remove(i);
+        return { grazes, hit: b };
+      }
+      if (!b.grazed && dist < grazeDistance) {
+        b.grazed = true;
+        grazes.push(b);
+      }
+    }
+
+    return { grazes, hit: null };
+  }
+
+  clear() {
+    for (let i = this.#bullets.length - 1; i >= 0; i--) this.#remove(i);
+  }
+
+  #remove(index) {
+    const [bullet] = this.#bullets.splice(index, 1);
+    this.#renderer.remove?.(bullet);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// BATTLE
+// ═══════════════════════════════════════════════════════════════════
+
+class Battle {
+  #boss;
+  #game;
+  #host;
+  #bounds;
+  #state;
+  #stat;
+  #difficulty;
+  #random;
+
+  /**
+   * @param {Object} boss - A loaded boss definition
+   * @param {Object} game - The initialized GameEngine
+   * @param {Object} host - See the module header
+   * @param {Object} [options]
+   * @param {Object} [options.difficulty] - Difficulty settings; the run's by default
+   * @param {Function} [options.random] - () => [0, 1); the run's 'battle' stream by default
+   */
+  constructor(boss, game, host, { difficulty = null, random = null } = {}) {
+    this.#boss = boss;
+    this.#game = game;
+    this.#difficulty = difficulty || game.getDifficulty?.() || getDifficulty();
+    this.#random = random || game.random?.('battle').next || Math.random;
+    this.#host = { sleep: ms => new Promise(r => setTimeout(r, ms)), ...host };
+    this.#bounds = game.getStatDefinitions();
+    this.#stat = name => this.#read(name);
+    this.#setup();
+  }
+
+  get boss() {
+    return this.#boss;
+  }
+
+  /**
+   * Live battle state; read it to draw, change it through the methods
+   */
+  get state() {
+    return this.#state;
+  }
+
+  get stats() {
+    return this.#state.stats;
+  }
+
+  get phase() {
+    return this.#boss.phases[this.#state.phase - 1];
+  }
+
+  get difficulty() {
+    return this.#difficulty;
+  }
+
+  /**
+   * BulletPatterns tuning for the current phase at this difficulty
+   */
+  get tuning() {
+    const { speed = 1, density = 1, damage = 1, pace = 1 } = this.phase.tuning || {};
+    return { speed: speed * this.#difficulty.speed, density: density * this.#difficulty.density, damage, pace };
+  }
+
+  get canSkip() {
+    return !!this.#boss.skip?.outcomes?.length;
+  }
+
+  check(condition) {
+    return !condition || this.#game.check(condition, this.#stat);
+  }
+
+  has(effectId) {
+    return this.#game.has(effectId);
+  }
+
+  // ─── Turn flow ───
+
+  /**
+   * Introduce the boss and offer the first acts
+   */
+  async start() {
+    const sheepy = this.#first(this.#boss.sheepy);
+    if (sheepy) this.#host.sheepy(sheepy.mood, sheepy.text);
+
+    const intro = this.#first(this.#boss.intro);
+    if (intro) this.#host.say(intro.text);
+
+    this.#host.update();
+    this.#offerActs();
+  }
+
+  /**
+   * The acts on offer this turn
+   */
+  acts() {
+    return this.#boss.acts
+      .filter(act => this.check(act.when))
+      .map(act => {
+        if (act.kind !== 'item') return { id: act.id, label: act.label, type: act.type || '' };
+
+        const left = DERIVED.items(this.#state);
+        return { id: act.id, label: left ? `${act.label} (${left})` : act.label, type: act.type || '', disabled: !left };
+      });
+  }
+
+  /**
+   * Play one ACT: resolve it, let it land, change phase if the boss
+   * has been worn down far enough, then the boss attacks
+   */
+  async act(actId) {
+    const act = this.#boss.acts.find(a => a.id === actId);
+    if (!act) throw new Error(`Unknown act: ${actId}`);
+
+    const s = this.#state;
+    if (s.busy || s.ended) return;
+    s.busy = true;
+    this.#host.lock();
+
+    try {
+      const result = this.#resolve(act);
+      s.turn++;
+      if (result.text) this.#host.say(result.text);
+      this.#host.result?.(act.id, result);
+      this.#host.update();
+
+      if (result.spare) {
+        await this.#finish('mercy');
+        return;
+      }
+
+      await this.#sleep(result.pause);
+      await this.#advancePhase();
+      if (!s.ended) await this.#dodge();
+    } finally {
+      s.busy = false;
+    }
+  }
+
+  /**
+   * Skip the fight and end it the way the boss's `skip` rules say it
+   * would have gone. Only between turns.
+   */
+  async skip() {
+    const s = this.#state;
+    if (s.busy || s.ended) return;
+
+    const skip = this.#boss.skip || {};
+    const entry = this.#first(skip.outcomes);
+    if (!entry) throw new Error(`${this.#boss.id} has no skip outcome for this run`);
+
+    s.busy = true;
+    s.skipped = true;
+    this.#host.lock();
+    try {
+      if (skip.text) this.#host.say(skip.text);
+      await this.#sleep(skip.pause);
+      await this.#finish(entry.outcome);
+    } finally {
+      s.busy = false;
+    }
+  }
+
+  /**
+   * The player was hit. Resolves true if that was fatal, once the death
+   * (or the determination revive) has played out.
+   */
+  async hit(damage) {
+    const s = this.#state;
+    if (s.ended) return false;
+
+    s.playerHp -= damage;
+    s.damageTaken += damage;
+    this.#host.update();
+
+    if (s.playerHp > 0) return false;
+    await this.#handleDeath();
+    return true;
+  }
+
+  /**
+   * A bullet passed close without hitting
+   */
+  graze() {
+    this.#state.grazes++;
+    this.#applyStats(this.#boss.player?.graze || {});
+  }
+
+  // ─── Setup ───
+
+  #setup() {
+    const boss = this.#boss;
+    const stats = { ...this.#game.getStats() };
+
+    const { base = 100, bonus } = boss.hp || {};
+    const bossMaxHp = base + (bonus ? Math.floor(Math.min(stats[bonus.stat] ?? 0, bonus.cap ?? Infinity) * bonus.factor) : 0);
+
+    const counts = {};
+    for (const act of boss.acts) if (act.counter) counts[act.counter] = 0;
+
+    this.#state = {
+      stats,
+      bossHp: bossMaxHp, bossMaxHp,
+      playerHp: 0, playerMaxHp: 0,
+      phase: 1, phaseHistory: [],
+      turn: 0, counts,
+      streak: 0, maxStreak: 0,
+      items: [], itemsUsed: 0,
+      grazes: 0, damageDealt: 0, damageTaken: 0,
+      determination: 0, determinationUsed: false,
+      busy: false, dodging: false, ended: false, skipped: false, outcome: null
+    };
+    const s = this.#state;
+
+    // Later tiers override earlier ones, so list them weakest first
+    const player = boss.player || {};
+    let hp = player.hp ?? 20;
+    for (const tier of player.hpTiers || []) {
+      if (this.check(tier.when)) hp = tier.hp;
+    }
+    s.playerMaxHp = Math.max(1, Math.round(hp * this.#difficulty.playerHp));
+    s.playerHp = s.playerMaxHp;
+
+    const determination = boss.determination;
+    if (determination) s.determination = Math.min(stats[determination.stat] ?? 0, 100);
+
+    const earned = (boss.items || []).filter(item => this.check(item.when));
+    s.items = (earned.length ? earned : boss.fallbackItems || []).map(item => ({ ...item, used: false }));
+  }
+
+  // ─── Acts ───
+
+  #resolve(act) {
+    const s = this.#state;
+    if (act.counter) s.counts[act.counter]++;
+
+    if (act.streak === 'build') {
+      s.streak++;
+      s.maxStreak = Math.max(s.maxStreak, s.streak);
+    } else if (act.streak !== 'keep') {
+      s.streak = 0;
+    }
+
+    if (act.kind === 'item') return this.#useItem(act);
+
+    const entry = (act.tiers || []).find(tier => this.check(tier.when)) ?? this.#line(act);
+    const outcome = { ...pickOutcome(act), ...pickOutcome(entry) };
+
+    let damage = this.#amount(outcome.damage);
+    if (damage && act.streakBonus) damage += Math.min(s.streak - 1, act.streakBonus);
+    for (const multiplier of act.multipliers || []) {
+      if (damage && this.check(multiplier.when)) damage = Math.floor(damage * multiplier.factor);
+    }
+
+    if (damage) this.#damageBoss(damage);
+    const changes = this.#applyStats(outcome);
+
+    return {
+      text: String(outcome.text ?? '').replaceAll('{damage}', damage),
+      damage,
+      changes,
+      cue: outcome.cue ?? null,
+      spare: outcome.spare === true,
+      pause: act.pause ?? 0
+    };
+  }
+
+  // The act's own lines, or the current phase's, picked by its counter
+  #line(act) {
+    const lines = act.lines ?? this.phase.lines?.[act.id];
+    if (!lines?.length) return null;
+
+    const count = act.counter ? this.#state.counts[act.counter] : this.#state.turn + 1;
+    const line = lines[Math.min(Math.max(count, 1), lines.length) - 1];
+    return typeof line === 'string' ? { text: line } : line;
+  }
+
+  #useItem(act) {
+    const s = this.#state;
+    const item = s.items.find(i => !i.used);
+    if (!item) {
+      return { text: act.empty?.text ?? '', damage: 0, changes: {}, cue: null, spare: false, pause: act.empty?.pause ?? act.pause ?? 0 };
+    }
+
+    item.used = true;
+    s.itemsUsed++;
+    if (item.heal) s.playerHp = Math.min(s.playerMaxHp, s.playerHp + item.heal);
+    const changes = this.#applyStats(item);
+
+    return {
+      text: item.text ?? `You use ${item.name}.${item.heal ? ` Healed ${item.heal} HP.` : ''}`,
+      damage: 0,
+      heal: item.heal || 0,
+      item: item.id,
+      changes,
+      cue: act.cue ?? null,
+      spare: false,
+      pause: act.pause ?? 0
+    };
+  }
+
+  // ─── Phases and outcomes ───
+
+  async #advancePhase() {
+    const s = this.#state;
+    if (s.ended) return;
+    if (s.bossHp <= 0) {
+      await this.#finish('fight');
+      return;
+    }
+
+    const next = this.#boss.phases[s.phase];
+    if (next?.at === undefined || DERIVED.boss_hp(s) > next.at) return;
+
+    s.phase++;
+    s.phaseHistory.push(s.phase);
+    for (const counter of this.#boss.phaseReset || []) s.counts[counter] = 0;
+
+    const enter = next.enter || {};
+    this.#host.phase?.(s.phase, next);
+    if (enter.text) this.#host.say(enter.text);
+    if (enter.sheepy) this.#host.sheepy(enter.sheepy.mood, enter.sheepy.text);
+    if (enter.sound) this.#host.sound?.(enter.sound);
+    this.#host.update();
+
+    await this.#sleep(enter.pause);
+  }
+
+  async #dodge() {
+    const s = this.#state;
+    const { attacks = [], quotes = [] } = this.phase;
+
+    s.dodging = true;
+    this.#host.lock();
+    await this.#host.attack(this.#pick(attacks), quotes.length ? this.#pick(quotes) : null);
+    s.dodging = false;
+
+    this.#offerActs();
+  }
+
+  async #handleDeath() {
+    const s = this.#state;
+    s.ended = true;
+    this.#host.halt();
+
+    const determination = this.#boss.determination;
+    const { determinationMin, revive } = this.#difficulty;
+    if (determination && !s.determinationUsed && s.determination >= determination.min * determinationMin) {
+      s.determinationUsed = true;
+      await this.#host.determination?.();
+
+      s.playerHp = Math.max(1, Math.floor(s.playerMaxHp * Math.min(1, determination.revive * revive)));
+      s.ended = false;
+      this.#host.update();
+      if (determination.sheepy) this.#host.sheepy(determination.sheepy.mood, determination.sheepy.text);
+      if (determination.text) this.#host.say(determination.text);
+
+      await this.#sleep(determination.pause);
+      this.#host.resume();
+      this.#offerActs();
+      return;
+    }
+
+    await this.#finish('defeat');
+  }
+
+  async #finish(outcome) {
+    const s = this.#state;
+    s.ended = true;
+    s.outcome = outcome;
+    this.#host.halt();
+
+    this.#applyStats(this.#boss.outcomes?.[outcome] || {});
+    this.#host.update();
+    await this.#host.end(outcome);
+  }
+
+  // ─── Helpers ───
+
+  #offerActs() {
+    if (!this.#state.ended) this.#host.acts(this.acts());
+  }
+
+  #read(name) {
+    const s = this.#state;
+    if (Object.hasOwn(DERIVED, name)) return DERIVED[name](s);
+    if (Object.hasOwn(s.counts, name)) return s.counts[name];
+    return s.stats[name];
+  }
+
+  #pick(list) {
+    return list[Math.floor(this.#random() * list.length)];
+  }
+
+  #first(entries = []) {
+    return entries.find(entry => this.check(entry.when)) ?? null;
+  }
+
+  #amount(spec) {
+    if (typeof spec === 'number') return spec;
+    if (!spec || !this.check(spec.when)) return 0;
+
+    let total = spec.base ?? 0;
+    for (const term of spec.add || []) {
+      const value = this.#read(term.stat) ?? 0;
+      total += term.per ? Math.floor(value / term.per) : value * (term.times ?? 1);
+    }
+    return total;
+  }
+
+  #damageBoss(amount) {
+    this.#state.bossHp -= amount;
+    this.#state.damageDealt += amount;
+  }
+
+  // Apply `<stat>: delta` fields to the battle's stats; returns the deltas
+  #applyStats(fields) {
+    const stats = this.#state.stats;
+    const changes = {};
+
+    for (const stat of Object.keys(stats)) {
+      const delta = fields[stat];
+      if (typeof delta !== 'number' || !delta) continue;
+
+      const { min, max } = { ...DEFAULT_BOUNDS, ...this.#bounds[stat] };
+      stats[stat] = Math.max(min, Math.min(max, stats[stat] + delta));
+      changes[stat] = delta;
+    }
+    return changes;
+  }
+
+  #sleep(ms) {
+    return ms > 0 ? this.#host.sleep(ms) : Promise.resolve();
+  }
+}
+
+// What an act, tier or line contributes to a resolved act
+function pickOutcome(source) {
+  if (!source) return {};
+  const { when, tiers, lines, id, label, type, kind, counter, streak, streakBonus, multipliers, pause, empty, ...outcome } = source;
+  return outcome;
+}
+
+export default Battle;
+export { Battle, BulletField, loadBoss, BATTLE_STATS, OUTCOMES };
@@ -0,0 +1,350 @@
+/**
+ * BulletPatterns - Attack patterns as data
+ *
+ * A pattern is a list of steps run against a bullet field. Positions,
+ * speeds and waits are numbers or small arithmetic expressions, so a
+ * pattern can be tuned in JSON and its timeline checked without a canvas.
+ *
+ *   await runPattern(boss.patterns.crossFire, host, { speed: 1.2 });
+ *   const timeline = tracePattern(boss.patterns.crossFire, { check });
+ *
+ * Pattern:
+ *   { "text": "Thorns cross from every angle.", "steps": [ ... ] }
+ *
+ * Steps:
+ *   { "wait": 600 }
+ *   { "set": { "gap": "rand(40, 240)",          variables for later steps; a list
+ *              "words": [{ "when": "e_x",        of cases picks the first whose
+ *                          "value": [...] },     condition holds (Condition.js)
+ *                        { "value": [...] }] } }
+ *   { "repeat": 5, "as": "row", "every": 500,   loop; `as` names the 0-based index
+ *     "steps": [...] }                          (default i), `every` waits after each pass
+ *   { "each": "words", "as": "w", ... }         loop over a list variable
+ *   { "spawn": "thorn", "x": 150, "y": -10,     one bullet; velocity as vx/vy or
+ *     "vx": 0, "vy": 3,                         speed/angle (radians). Optional size,
+ *     "damage": 2, "text": "$w" }               damage, text ("$var" or { "pick": list }),
+ *                                               "if" (skip when 0) and "delay" (ms)
+ *   { "ring": "void", "count": 16, "x": 150,    `count` bullets evenly around a point,
+ *     "y": 150, "speed": 1.5, "radius": 30,     starting at `offset`; a negative speed
+ *     "offset": "PI / 16" }                     moves inward
+ *   { "effect": "particles", "x": "bx",         passed to host.effect for show only;
+ *     "y": "by", "count": 4 }                   x, y and count are expressions
+ *
+ * Expressions: + - * / % ^, comparisons (1 or 0), parentheses, variables,
+ * PI, and sin cos tan atan2 sqrt abs floor ceil round min max rand(a, b).
+ * `px`/`py` are the player's position.
+ *
+ * Host:
+ *   spawn(type, x, y, vx, vy, { size, damage, text })
+ *   check(condition) → boolean
+ *   target?() → { x, y }        player position
+ *   say?(html), effect?(name, args), sleep?(ms), random?() → [0, 1)
+ *
+ * Tuning multiplies speeds (`speed`), damage (`damage`, at least 1),
+ * waits (`pace`) and bullet counts (`density`). Density scales rings and
+ * timed repeats (those with `every`); a step with "scale": false keeps
+ * its count, for shapes that need every point.
+ *
+ * @version 1.0.0
+ */
+
+// ═══════════════════════════════════════════════════════════════════
+// EXPRESSIONS
+// ═══════════════════════════════════════════════════════════════════
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_]\w*)|(<=|>=|==|!=|[-+*/%^()<>,]))/y;
+
+const BINARY = {
+  '<': (a, b) => Number(a < b), '<=': (a, b) => Number(a <= b),
+  '>': (a, b) => Number(a > b), '>=': (a, b) => Number(a >= b),
+  '==': (a, b) => Number(a === b), '!=': (a, b) => Number(a !== b),
+  '+': (a, b) => a + b, '-': (a, b) => a - b,
+  '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b,
+  '^': (a, b) => a ** b
+};
+
+// Loosest first; ^ binds tightest and to the right
+const PRECEDENCE = [['<', '<=', '>', '>=', '==', '!='], ['+', '-'], ['*', '/', '%']];
+
+const FUNCTIONS = {
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, atan2: Math.atan2,
+  sqrt: Math.sqrt, abs: Math.abs, floor: Math.floor, ceil: Math.ceil,
+  round: Math.round, min: Math.min, max: Math.max
+};
+
+const CONSTANTS = { PI: Math.PI };
+
+const compiled = new Map();
+
+// Effect arguments that are expressions; the rest pass through as written
+const EFFECT_POSITION = ['x', 'y', 'count'];
+
+/**
+ * Compile an expression to `(scope, random) => number`. Throws on bad syntax.
+ */
+function compileExpression(source) {
+  if (typeof source === 'number') return () => source;
+  if (compiled.has(source)) return compiled.get(source);
+
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const start = TOKEN.lastIndex;
+    if (!source.slice(start).trim()) break;
+    const match = TOKEN.exec(source);
+    if (!match) throw new Error(`Unexpected "${source.slice(start).trim()[0]}" in "${source}"`);
+    const [, number, name, op] = match;
+    tokens.push(number ? { type: 'number', value: Number(number) } : name ? { type: 'name', value: name } : { type: op, value: op });
+  }
+
+  let i = 0;
+  const fail = message => new Error(`${message} in "${source}"`);
+  const expect = type => {
+    if (tokens[i]?.type !== type) throw fail(`Expected "${type}"`);
+    return tokens[i++];
+  };
+
+  const binary = level => {
+    if (level === PRECEDENCE.length) return unary();
+    let left = binary(level + 1);
+    while (PRECEDENCE[level].includes(tokens[i]?.type)) {
+      const apply = BINARY[tokens[i++].type];
+      const a = left, b = binary(level + 1);
+      left = (scope, random) => apply(a(scope, random), b(scope, random));
+    }
+    return left;
+  };
+
+  const unary = () => {
+    if (tokens[i]?.type === '-') {
+      i++;
+      const operand = unary();
+      return (scope, random) => -operand(scope, random);
+    }
+    return power();
+  };
+
+  const power = () => {
+    const base = primary();
+    if (tokens[i]?.type !== '^') return base;
+    i++;
+    const exponent = unary();
+    return (scope, random) => base(scope, random) ** exponent(scope, random);
+  };
+
+  const primary = () => {
+    const token = tokens[i++];
+    if (!token) throw fail('Unexpected end');
+
+    if (token.type === 'number') return () => token.value;
+    if (token.type === '(') {
+      const inner = binary(0);
+      expect(')');
+      return inner;
+    }
+    if (token.type !== 'name') throw fail(`Unexpected "${token.value}"`);
+
+    if (tokens[i]?.type === '(') {
+      i++;
+      const args = [];
+      if (tokens[i]?.type !== ')') {
+        args.push(binary(0));
+        while (tokens[i]?.type === ',') { i++; args.push(binary(0)); }
+      }
+      expect(')');
+
+      if (token.value === 'rand') {
+        if (args.length !== 2) throw fail('rand() takes 2 arguments');
+        const [lo, hi] = args;
+        return (scope, random) => {
+          const min = lo(scope, random);
+          return random() * (hi(scope, random) - min) + min;
+        };
+      }
+      const fn = FUNCTIONS[token.value];
+      if (!fn) throw fail(`Unknown function "${token.value}"`);
+      return (scope, random) => fn(...args.map(arg => arg(scope, random)));
+    }
+
+    const name = token.value;
+    if (Object.hasOwn(CONSTANTS, name)) return () => CONSTANTS[name];
+    return scope => {
+      const value = scope[name];
+      if (typeof value !== 'number') throw new Error(`"${name}" is not a number in "${source}"`);
+      return value;
+    };
+  };
+
+  const expression = binary(0);
+  if (i < tokens.length) throw fail(`Unexpected "${tokens[i].value}"`);
+
+  compiled.set(source, expression);
+  return expression;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RUNNER
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Run a pattern to its last step. Delayed spawns may still land after
+ * it resolves, as they would in the tape.
+ */
+async function runPattern(pattern, host, tuning = {}) {
+  const run = {
+    host: { sleep: ms => new Promise(r => setTimeout(r, ms)), random: Math.random, ...host },
+    tuning: { speed: 1, damage: 1, pace: 1, density: 1, ...tuning }
+  };
+  const target = run.host.target?.() || { x: 0, y: 0 };
+  const scope = { px: target.x, py: target.y };
+
+  if (pattern.text) run.host.say?.(pattern.text);
+  await runSteps(pattern.steps || [], scope, run);
+}
+
+async function runSteps(steps, scope, run) {
+  for (const step of steps) await runStep(step, scope, run);
+}
+
+async function runStep(step, scope, run) {
+  const { host } = run;
+  const value = source => compileExpression(source)(scope, host.random);
+
+  if ('wait' in step) {
+    await pause(value(step.wait), run);
+  } else if ('set' in step) {
+    for (const [name, source] of Object.entries(step.set)) {
+      scope[name] = resolveSet(source, value, host);
+    }
+  } else if ('repeat' in step || 'each' in step) {
+    const list = 'each' in step ? scope[step.each] : null;
+    if (list && !Array.isArray(list)) throw new Error(`"${step.each}" is not a list`);
+    const count = list ? list.length : scaled(value(step.repeat), step.every !== undefined && step, run);
+    const as = step.as || 'i';
+
+    for (let n = 0; n < count; n++) {
+      const inner = Object.create(scope);
+      inner[as] = list ? list[n] : n;
+      if (list) inner.i = n;
+      await runSteps(step.steps || [], inner, run);
+      if (step.every !== undefined) await pause(value(step.every), run);
+    }
+  } else if ('spawn' in step) {
+    if (step.if !== undefined && !value(step.if)) return;
+    const spawn = () => spawnBullet(step, scope, value, run);
+    if (step.delay === undefined) spawn();
+    else pause(value(step.delay), run).then(spawn);
+  } else if ('ring' in step) {
+    const count = scaled(value(step.count), step, run);
+    const offset = step.offset === undefined ? 0 : value(step.offset);
+    const x = value(step.x ?? 150), y = value(step.y ?? 150);
+    const radius = step.radius === undefined ? 0 : value(step.radius);
+    const speed = value(step.speed) * run.tuning.speed;
+
+    for (let n = 0; n < count; n++) {
+      const angle = offset + (n * Math.PI * 2) / count;
+      const cos = Math.cos(angle), sin = Math.sin(angle);
+      host.spawn(step.ring, x + cos * radius, y + sin * radius, cos * speed, sin * speed, bulletOptions(step, scope, value, run));
+    }
+  } else if ('effect' in step) {
+    const { effect, ...args } = step;
+    const resolved = {};
+    for (const [key, arg] of Object.entries(args)) {
+      resolved[key] = EFFECT_POSITION.includes(key) ? value(arg) : arg;
+    }
+    host.effect?.(effect, resolved);
+  } else {
+    console.warn(`Unknown pattern step: ${JSON.stringify(step)}`);
+  }
+}
+
+function spawnBullet(step, scope, value, run) {
+  let vx, vy;
+  if (step.angle !== undefined) {
+    const angle = value(step.angle), speed = value(step.speed);
+    vx = Math.cos(angle) * speed;
+    vy = Math.sin(angle) * speed;
+  } else {
+    vx = value(step.vx ?? 0);
+    vy = value(step.vy ?? 0);
+  }
+
+  const speed = run.tuning.speed;
+  run.host.spawn(step.spawn, value(step.x), value(step.y), vx * speed, vy * speed, bulletOptions(step, scope, value, run));
+}
+
+function bulletOptions(step, scope, value, run) {
+  const options = {};
+  if (step.size !== undefined) options.size = value(step.size);
+  options.damage = Math.max(1, Math.round(value(step.damage ?? 1) * run.tuning.damage));
+  if (step.text !== undefined) options.text = resolveText(step.text, scope, run.host.random);
+  return options;
+}
+
+// "$name" reads a variable; { "pick": "list" } takes a random element
+function resolveText(text, scope, random) {
+  if (typeof text === 'object' && text?.pick) {
+    const list = scope[text.pick] || [];
+    return list[Math.floor(random() * list.length)];
+  }
+  if (typeof text === 'string' && text.startsWith('$')) return scope[text.slice(1)];
+  return text;
+}
+
+function resolveSet(source, value, host) {
+  const isCases = Array.isArray(source) && source.length > 0 && source.every(c => c && typeof c === 'object' && 'value' in c);
+  if (isCases) {
+    const match = source.find(c => c.when === undefined || host.check(c.when));
+    return match ? resolveSet(match.value, value, host) : undefined;
+  }
+  if (Array.isArray(source)) return source;
+  return value(source);
+}
+
+function scaled(count, step, run) {
+  if (!step || step.scale === false || run.tuning.density === 1) return count;
+  return Math.max(1, Math.round(count * run.tuning.density));
+}
+
+function pause(ms, run) {
+  const scaled = ms * run.tuning.pace;
+  return scaled > 0 ? run.host.sleep(scaled) : Promise.resolve();
+}
+
+/**
+ * Run a pattern on a virtual clock and return what it spawned and when:
+ *   [{ t, type, x, y, vx, vy, size, damage, text }]
+ * `options` takes the host's check/target/random and tuning.
+ */
+async function tracePattern(pattern, { check = () => false, target = () => ({ x: 142, y: 142 }), random = Math.random, tuning = {} } = {}) {
+  const timeline = [];
+  const timers = [];
+  let now = 0;
+
+  // Sleeps resolve in time order once everything runnable has run
+  const sleep = ms => new Promise(resolve => timers.push({ at: now + ms, resolve }));
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  const host = {
+    check, target, random, sleep,
+    spawn: (type, x, y, vx, vy, opts) => timeline.push({ t: now, type, x, y, vx, vy, size: 10, ...opts })
+  };
+
+  let done = false;
+  runPattern(pattern, host, tuning).then(() => { done = true; });
+  await settle();
+
+  while (timers.length) {
+    timers.sort((a, b) => a.at - b.at);
+    const next = timers.shift();
+    now = next.at;
+    next.resolve();
+    await settle();
+  }
+  if (!done) throw new Error('Pattern did not finish');
+
+  return timeline;
+}
+
+export default runPattern;
+export { runPattern, tracePattern, compileExpression };
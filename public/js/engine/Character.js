@@ -0,0 +1,130 @@
+/**
+ * Character - One presence in the story, as relationship.json describes it
+ *
+ * Each character reads its trust and guard from DecisionEngine stats it
+ * names itself, so Minji's come from `trust`/`guard` and the rival's guard
+ * from `rival_tension`. A role the character doesn't name counts as 0.
+ *
+ *   {
+ *     name, description?,
+ *     stats:      { trust?: statName, guard?: statName }
+ *     phases:     [{ id, from? }]              in order; a phase starts once
+ *                                              trust minus guard reaches `from`
+ *     tones:      [{ from?, warmth, openness, playfulness, description }]
+ *                                              the same ladder, for how they speak
+ *     milestones: { id: { threshold: { any | all: [effectId] }, description, hint } }
+ *   }
+ *
+ * RelationshipEngine builds one per entry and keeps the registry.
+ *
+ * @version 1.0.0
+ */
+
+import engine from './DecisionEngine.js';
+
+class Character {
+  #definition;
+
+  constructor(id, definition) {
+    this.id = id;
+    this.name = definition.name ?? id;
+    this.description = definition.description ?? null;
+    this.#definition = { stats: {}, phases: [], tones: [], milestones: {}, ...definition };
+  }
+
+  /**
+   * { trust, guard, net } as this character sees them
+   */
+  getStats() {
+    const { trust, guard } = this.#definition.stats;
+    const values = {
+      trust: trust ? engine.getStat(trust) : 0,
+      guard: guard ? engine.getStat(guard) : 0
+    };
+    return { ...values, net: values.trust - values.guard };
+  }
+
+  getPhase() {
+    return ladderStep(this.getStats().net, this.#definition.phases)?.id ?? null;
+  }
+
+  /**
+   * { warmth, openness, playfulness, description }, or null without tones
+   */
+  getTone() {
+    const step = ladderStep(this.getStats().net, this.#definition.tones);
+    if (!step) return null;
+
+    const { from, ...tone } = step;
+    return tone;
+  }
+
+  getDialogueVariant(baseDialogues) {
+    const tone = this.getTone();
+    const phase = this.getPhase();
+
+    // baseDialogues structure:
+    // { default: "...", intimate: "...", guarded: "...", friends: "..." }
+
+    if (baseDialogues[phase]) return baseDialogues[phase];
+    if (tone?.warmth === 'high' && baseDialogues.intimate) return baseDialogues.intimate;
+    if (tone?.warmth === 'low' && baseDialogues.guarded) return baseDialogues.guarded;
+    return baseDialogues.default || baseDialogues[Object.keys(baseDialogues)[0]];
+  }
+
+  hasMilestone(milestoneId) {
+    const milestone = this.#definition.milestones[milestoneId];
+    if (!milestone) return false;
+
+    if (milestone.threshold.any) {
+      return milestone.threshold.any.some(flag => engine.hasEffect(flag));
+    }
+    if (milestone.threshold.all) {
+      return milestone.threshold.all.every(flag => engine.hasEffect(flag));
+    }
+    return false;
+  }
+
+  /**
+   * Every milestone, reached or not: [{ id, description, hint, reached }]
+   */
+  listMilestones() {
+    return Object.entries(this.#definition.milestones).map(([id, { description, hint }]) => ({
+      id, description, hint, reached: this.hasMilestone(id)
+    }));
+  }
+
+  getMilestones() {
+    const active = [];
+    for (const [id, milestone] of Object.entries(this.#definition.milestones)) {
+      if (this.hasMilestone(id)) {
+        active.push({ id, ...milestone });
+      }
+    }
+    return active;
+  }
+}
+
+/**
+ * The last step of a `from` ladder that `net` has reached, or null
+ */
+function ladderStep(net, ladder) {
+  let reached = null;
+  for (const step of ladder) {
+    if (net >= (step.from ?? -Infinity)) reached = step;
+  }
+  return reached;
+}
+
+/**
+ * Relationship phase for a trust and guard pair - what `phase` reads in
+ * conditions. Pure, so tools can work it out without the engine: pass the
+ * default character's `phases` from relationship.json. Null if the ladder
+ * is empty.
+ */
+function phaseFor(trust, guard, phases) {
+  return ladderStep(trust - guard, phases)?.id ?? null;
+}
+
+export default Character;
+export { ladderStep, phaseFor };
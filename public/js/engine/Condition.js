@@ -0,0 +1,389 @@
+/**
+ * Condition - One small expression language for every "does this apply?"
+ * question in decisions.json and the tapes: endings, option gates,
+ * consumers and narrative variants.
+ *
+ *   trust >= 15 and arc(e_soil_rich)
+ *   not chose(d_tape1_scratch, hold) or phase >= friends
+ *   fights > talks
+ *   memory(e_moment_opened) and (guard < 10 or e_said_yes)
+ *   tone(warmth, high)
+ *
+ * Grammar (lowest precedence first):
+ *
+ *   expr    := and ('or' and)*
+ *   and     := unary ('and' unary)*
+ *   unary   := 'not' unary | primary
+ *   primary := '(' expr ')' | 'true' | 'false'
+ *            | name op value             stat or phase comparison (value: number or stat)
+ *            | fn '(' args ')'            has / flag / memory / arc / chose / phase / ending / tone
+ *            | name                       shorthand for has(name)
+ *   op      := < <= > >= == !=
+ *
+ * Expressions compile once to a predicate `(ctx) => boolean`. The context
+ * is supplied by the caller (DecisionEngine) so this module stays free of
+ * engine state:
+ *
+ *   { stat(name), has(id), flag(id), memory(id), arc(id),
+ *     chose(decisionId, optionId?), phase(), phases(), ending?(id), tone?() }
+ *
+ * `phases()` lists the relationship phases in order - the default
+ * character's ladder in relationship.json - so `phase >= friends` means
+ * friends or closer; no phase yet counts as the first.
+ *
+ * `ending(id)` asks whether a played tape recorded that ending (the
+ * endings listed in tapes.json); it is false where the caller has no
+ * tape records. `tone(field, value)` compares a field of the default
+ * character's tone (RelationshipEngine.getTone); false without one.
+ *
+ * analyzeCondition() type-checks an expression against decisions.json
+ * and is what the validator runs.
+ *
+ * @version 1.0.0
+ */
+
+const COMPARATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+// The fields tone(field, value) can compare
+const TONE_FIELDS = ['warmth', 'openness', 'playfulness'];
+
+// fn → [min args, max args]
+const FUNCTIONS = {
+  has: [1, 1],
+  flag: [1, 1],
+  memory: [1, 1],
+  arc: [1, 1],
+  chose: [1, 2],
+  phase: [1, 1],
+  ending: [1, 1],
+  tone: [2, 2]
+};
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'true', 'false']);
+
+class ConditionError extends Error {
+  constructor(message, source, position = null) {
+    super(position === null ? `${message} in "${source}"` : `${message} at ${position} in "${source}"`);
+    this.name = 'ConditionError';
+    this.source = source;
+    this.position = position;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════
+
+const TOKEN = /\s*(?:(<=|>=|==|!=|<|>)|([(),])|(-?\d+(?:\.\d+)?)|([A-Za-z_]\w*))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < source.length) {
+    const start = TOKEN.lastIndex;
+    if (/^\s*$/.test(source.slice(start))) break;
+
+    const match = TOKEN.exec(source);
+    if (!match) {
+      throw new ConditionError(`Unexpected "${source.slice(start).trim()[0]}"`, source, start);
+    }
+
+    const [, op, punct, number, word] = match;
+    const pos = match.index + match[0].length - (op || punct || number || word).length;
+    if (op) tokens.push({ type: 'op', value: op, pos });
+    else if (punct) tokens.push({ type: punct, value: punct, pos });
+    else if (number) tokens.push({ type: 'number', value: Number(number), pos });
+    else tokens.push({ type: KEYWORDS.has(word) ? word : 'name', value: word, pos });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into an AST. Throws ConditionError on bad syntax.
+ */
+function parseCondition(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new ConditionError('Empty condition', String(source));
+  }
+
+  const tokens = tokenize(source);
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const fail = (message, token = peek()) =>
+    new ConditionError(message, source, token ? token.pos : source.length);
+  const expect = type => {
+    const token = tokens[i];
+    if (token?.type !== type) throw fail(`Expected "${type}"${token ? ` but found "${token.value}"` : ''}`);
+    i++;
+    return token;
+  };
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (peek()?.type === 'or') { i++; items.push(parseAnd()); }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  };
+
+  const parseAnd = () => {
+    const items = [parseUnary()];
+    while (peek()?.type === 'and') { i++; items.push(parseUnary()); }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === 'not') {
+      i++;
+      return { type: 'not', item: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw fail('Unexpected end of condition');
+
+    if (token.type === '(') {
+      i++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'true' || token.type === 'false') {
+      i++;
+      return { type: 'literal', value: token.type === 'true' };
+    }
+
+    if (token.type !== 'name') throw fail(`Unexpected "${token.value}"`);
+    i++;
+
+    // Comparison: trust >= 15, phase == close
+    if (peek()?.type === 'op') {
+      const op = tokens[i++].value;
+      const value = peek();
+      if (value?.type !== 'number' && value?.type !== 'name') {
+        throw fail(`Expected a number or name after "${op}"`);
+      }
+      i++;
+      return { type: 'compare', subject: token.value, op, value: value.value, pos: token.pos };
+    }
+
+    // Call: chose(d_tape1_scratch, hold)
+    if (peek()?.type === '(') {
+      const arity = FUNCTIONS[token.value];
+      if (!arity) throw fail(`Unknown function "${token.value}"`, token);
+      i++;
+
+      const args = [];
+      if (peek()?.type !== ')') {
+        args.push(expect('name').value);
+        while (peek()?.type === ',') { i++; args.push(expect('name').value); }
+      }
+      expect(')');
+
+      if (args.length < arity[0] || args.length > arity[1]) {
+        throw fail(`${token.value}() takes ${arity[0] === arity[1] ? arity[0] : `${arity[0]}-${arity[1]}`} argument(s), got ${args.length}`, token);
+      }
+      return { type: 'call', fn: token.value, args, pos: token.pos };
+    }
+
+    // Bare name: shorthand for has(name)
+    return { type: 'call', fn: 'has', args: [token.value], pos: token.pos, bare: true };
+  };
+
+  const ast = parseOr();
+  if (i < tokens.length) throw fail(`Unexpected "${peek().value}"`);
+  return ast;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// COMPILATION
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Compile an expression (or an already-parsed AST) to `(ctx) => boolean`.
+ * The predicate keeps its source on `.source` for debugging.
+ */
+function compileCondition(source) {
+  const predicate = build(typeof source === 'string' ? parseCondition(source) : source);
+  predicate.source = typeof source === 'string' ? source : null;
+  return predicate;
+}
+
+function build(node) {
+  switch (node.type) {
+    case 'literal':
+      return () => node.value;
+
+    case 'and': {
+      const items = node.items.map(build);
+      return ctx => items.every(item => item(ctx));
+    }
+
+    case 'or': {
+      const items = node.items.map(build);
+      return ctx => items.some(item => item(ctx));
+    }
+
+    case 'not': {
+      const item = build(node.item);
+      return ctx => !item(ctx);
+    }
+
+    case 'compare': {
+      const compare = COMPARATORS[node.op];
+      if (node.subject === 'phase') {
+        return ctx => {
+          const phases = ctx.phases();
+          return compare(phases.indexOf(ctx.phase() || phases[0]), phases.indexOf(String(node.value)));
+        };
+      }
+      if (typeof node.value === 'string') {
+        return ctx => compare(ctx.stat(node.subject), ctx.stat(node.value));
+      }
+      return ctx => compare(ctx.stat(node.subject), node.value);
+    }
+
+    case 'call': {
+      const [a, b] = node.args;
+      switch (node.fn) {
+        case 'chose': return ctx => ctx.chose(a, b);
+        case 'phase': return ctx => (ctx.phase() || ctx.phases()[0]) === a;
+        case 'ending': return ctx => Boolean(ctx.ending?.(a));
+        case 'tone': return ctx => ctx.tone?.()?.[a] === b;
+        default: return ctx => ctx[node.fn](a);
+      }
+    }
+
+    default:
+      throw new Error(`Unknown condition node: ${node.type}`);
+  }
+}
+
+/**
+ * Turn the older field style into an expression:
+ *   { requires: ['e_a'], excludes: ['e_b'], min_trust: 15, max_guard: 8 }
+ *   → "has(e_a) and not has(e_b) and trust >= 15 and guard <= 8"
+ * Returns null when there is nothing to check.
+ */
+function legacyCondition(fields = {}) {
+  const parts = [
+    ...(fields.requires || []).map(id => `has(${id})`),
+    ...(fields.excludes || []).map(id => `not has(${id})`)
+  ];
+
+  for (const [key, value] of Object.entries(fields)) {
+    const gate = /^(min|max)_(\w+)$/.exec(key);
+    if (gate) parts.push(`${gate[2]} ${gate[1] === 'min' ? '>=' : '<='} ${value}`);
+  }
+
+  return parts.length ? parts.join(' and ') : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TYPE CHECKING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Check an expression against a decision graph (decisions.json shape).
+ * `tapeEndings`, when given, is every ending ID a tape can record, and
+ * `phases` every relationship phase ID.
+ * Returns { errors: string[], effects: string[] } - the effect IDs it
+ * reads, so callers can count them as consumed.
+ */
+function analyzeCondition(source, { stats = {}, effects = {}, decisions = {}, tapeEndings = null, phases = null } = {}) {
+  const errors = [];
+  const referenced = new Set();
+
+  let ast;
+  try {
+    ast = typeof source === 'string' ? parseCondition(source) : source;
+  } catch (e) {
+    return { errors: [e.message], effects: [] };
+  }
+
+  const checkPhase = id => {
+    if (phases && !phases.includes(id)) errors.push(`unknown phase "${id}" (expected one of ${phases.join(', ')})`);
+  };
+
+  const checkEffect = (id, expectedType = null) => {
+    referenced.add(id);
+    const effect = effects[id];
+    if (!effect) {
+      errors.push(`unknown effect "${id}"`);
+    } else if (effect.type === 'stat') {
+      errors.push(`"${id}" is a stat effect; compare the stat instead (e.g. ${effect.stat} >= N)`);
+    } else if (expectedType && effect.type !== expectedType) {
+      errors.push(`${expectedType}(${id}) but "${id}" is declared as ${effect.type}`);
+    }
+  };
+
+  const visit = node => {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        node.items.forEach(visit);
+        break;
+
+      case 'not':
+        visit(node.item);
+        break;
+
+      case 'compare':
+        if (node.subject === 'phase') {
+          checkPhase(String(node.value));
+        } else if (!Object.hasOwn(stats, node.subject)) {
+          errors.push(`unknown stat "${node.subject}"`);
+        } else if (typeof node.value !== 'number' && !Object.hasOwn(stats, node.value)) {
+          errors.push(`${node.subject} must be compared to a number or a stat, got "${node.value}"`);
+        }
+        break;
+
+      case 'call': {
+        const [a, b] = node.args;
+        if (node.fn === 'has' && node.bare && Object.hasOwn(stats, a)) {
+          errors.push(`stat "${a}" used without a comparison`);
+        } else if (node.fn === 'chose') {
+          const decision = decisions[a];
+          if (!decision) {
+            errors.push(`unknown decision "${a}"`);
+          } else if (b !== undefined && !(decision.options || []).some(o => o.id === b)) {
+            errors.push(`decision "${a}" has no option "${b}"`);
+          }
+        } else if (node.fn === 'phase') {
+          checkPhase(a);
+        } else if (node.fn === 'ending') {
+          if (tapeEndings && !tapeEndings.includes(a)) errors.push(`no tape records an ending "${a}"`);
+        } else if (node.fn === 'tone') {
+          if (!TONE_FIELDS.includes(a)) errors.push(`unknown tone field "${a}" (expected one of ${TONE_FIELDS.join(', ')})`);
+        } else {
+          checkEffect(a, node.fn === 'has' ? null : node.fn);
+        }
+        break;
+      }
+    }
+  };
+
+  visit(ast);
+  return { errors, effects: [...referenced] };
+}
+
+export default compileCondition;
+export {
+  compileCondition,
+  parseCondition,
+  analyzeCondition,
+  legacyCondition,
+  ConditionError,
+  TONE_FIELDS
+};
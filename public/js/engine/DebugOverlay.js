@@ -0,0 +1,492 @@
+/**
+ * DebugOverlay - In-game console and state inspector
+ *
+ * A hidden panel over any page that runs the GameEngine. Ctrl+Shift+D
+ * (Cmd+Shift+D on a Mac) toggles it; `?debug=1` on the URL opens it at
+ * load. It shows the live run - stats, flags, memories, arcs, the
+ * relationship phase and milestones - and edits it through the engine,
+ * so every edit is a history entry and survives replay:
+ *
+ *   - set a stat (GameEngine.adjustStat) or set/clear a flag, memory or
+ *     arc (GameEngine.setEffect)
+ *   - force the option a decision takes whenever it comes up
+ *   - jump to a numbered beat: the tape's choices are rewound and the
+ *     page reloads on the same seed, fast-forwarding - no waits, no
+ *     clicks, no minigames - until the beat counter reaches it. Each
+ *     decision on the way is answered as forced, else as the run
+ *     answered it, else with its first open option.
+ *   - export and import saves (GameEngine.exportState / importState)
+ *
+ * Tapes opt in with a handful of hooks:
+ *
+ *   debug = DebugOverlay.install({ tape: 'tape2' });
+ *   const sleep = ms => debug?.skipping ? Promise.resolve() : ...;
+ *   updateCounter = (c, t) => { ...; debug?.beat(c, t); };
+ *   // first thing in choose():
+ *   const answer = debug?.answer(decId, opts.map(o => o.id));
+ *
+ * Pages without a beat counter (tape3, tape4, the menu) get the
+ * inspector and editors, but nothing to jump to.
+ *
+ * @version 1.0.0
+ */
+
+import game, { DecisionEngine } from './GameEngine.js';
+
+const PLAN_KEY = 'seed_archive_debug';   // sessionStorage: { tape?, beat?, answers?, forced }
+const REFRESH_MS = 500;
+const LOG_LIMIT = 200;
+const EDITABLE_TYPES = ['flag', 'memory', 'arc'];
+
+const STYLE = `
+#debug-overlay{position:fixed;top:8px;right:8px;z-index:100000;width:min(420px,calc(100vw - 16px));max-height:calc(100vh - 16px);overflow:auto;
+  background:rgba(8,8,10,.94);color:#cfc8bc;border:1px solid #3a3530;border-radius:6px;font:11px/1.45 ui-monospace,Menlo,Consolas,monospace;
+  box-shadow:0 8px 30px rgba(0,0,0,.6);cursor:auto;user-select:text}
+#debug-overlay[hidden]{display:none}
+#debug-overlay header{position:sticky;top:0;display:flex;justify-content:space-between;align-items:center;padding:6px 10px;background:#15130f;border-bottom:1px solid #3a3530}
+#debug-overlay header b{color:#e8c27a;letter-spacing:.08em}
+#debug-overlay section{padding:6px 10px;border-bottom:1px solid #24211d}
+#debug-overlay h4{margin:0 0 4px;font-size:10px;letter-spacing:.12em;color:#8a8276;font-weight:normal}
+#debug-overlay table{width:100%;border-collapse:collapse}
+#debug-overlay td{padding:1px 4px 1px 0;vertical-align:top}
+#debug-overlay .bar{height:4px;background:#24211d;border-radius:2px;min-width:60px}
+#debug-overlay .bar i{display:block;height:100%;background:#b59a68;border-radius:2px}
+#debug-overlay .chip{display:inline-block;margin:0 4px 3px 0;padding:0 4px;border:1px solid #3a3530;border-radius:3px}
+#debug-overlay .chip.memory{border-color:#5b4a6b}
+#debug-overlay .chip.arc{border-color:#3f5e57}
+#debug-overlay .none{color:#5c564d}
+#debug-overlay .row{display:flex;gap:4px;align-items:center;margin:3px 0;flex-wrap:wrap}
+#debug-overlay select,#debug-overlay input,#debug-overlay button{font:inherit;background:#1b1915;color:#e4ddd0;border:1px solid #3a3530;border-radius:3px;padding:1px 4px}
+#debug-overlay select{max-width:220px}
+#debug-overlay input[type=number]{width:64px}
+#debug-overlay button{cursor:pointer}
+#debug-overlay button:disabled{opacity:.4;cursor:default}
+#debug-overlay button.x{border:none;background:none;color:#8a8276;padding:0 0 0 3px}
+#debug-overlay pre{margin:0;max-height:140px;overflow:auto;white-space:pre-wrap;color:#9a9386}
+#debug-overlay .warn{color:#e0b060}
+#debug-overlay .error{color:#e07a6a}
+`;
+
+class DebugOverlay {
+  #tape = null;
+  #installed = false;
+  #root = null;
+  #timer = null;
+  #rendered = '';
+  #beat = null;       // { index, total } the tape last showed
+  #target = null;     // beat a jump is fast-forwarding to
+  #answers = {};      // decisionId → optionId the jumped-from run took
+  #forced = {};       // decisionId → optionId, kept for the browser session
+  #lines = [];
+
+  /**
+   * Hook the toggle key and pick up a jump in progress. Call once the
+   * engine has initialized; returns the overlay.
+   */
+  install({ tape = null } = {}) {
+    if (this.#installed) return this;
+    this.#installed = true;
+    this.#tape = tape;
+
+    const plan = readPlan();
+    this.#forced = plan.forced || {};
+    if (plan.beat && plan.tape === tape) {
+      this.#target = plan.beat;
+      this.#answers = plan.answers || {};
+      this.log(`Fast-forwarding to beat ${plan.beat}`);
+    }
+    writePlan({ forced: this.#forced });
+
+    this.#captureConsole();
+    document.addEventListener('keydown', e => {
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'd') {
+        e.preventDefault();
+        this.toggle();
+      }
+    });
+    if (new URLSearchParams(location.search).get('debug') === '1') this.open();
+    return this;
+  }
+
+  /**
+   * True while a jump is fast-forwarding; tapes skip waits and clicks
+   */
+  get skipping() {
+    return this.#target !== null;
+  }
+
+  get isOpen() {
+    return Boolean(this.#root && !this.#root.hidden);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // TAPE HOOKS
+  // ═══════════════════════════════════════════════════════════════════
+
+  /**
+   * The tape reached a numbered beat (1-based, as its counter shows it)
+   */
+  beat(index, total) {
+    this.#beat = { index, total };
+    if (this.#target !== null && index >= this.#target) {
+      this.log(`Reached beat ${index}/${total}`);
+      this.#target = null;
+      this.#answers = {};
+    }
+  }
+
+  /**
+   * The option a decision should take without asking, or null to show
+   * the choices. `offered` is the option IDs the tape is presenting.
+   */
+  answer(decisionId, offered) {
+    const open = new Set(game.getAvailableOptions(decisionId).filter(o => o.available).map(o => o.id));
+    const usable = offered.filter(id => open.has(id));
+
+    const forced = this.#forced[decisionId];
+    if (forced && usable.includes(forced)) {
+      this.log(`Forced ${decisionId} → ${forced}`);
+      return forced;
+    }
+    if (forced) {
+      this.log(`Forced ${decisionId} → ${forced} is locked or not offered here`, 'warn');
+    }
+    if (!this.skipping) return null;
+
+    const previous = this.#answers[decisionId];
+    return usable.includes(previous) ? previous : (usable[0] ?? null);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // ACTIONS
+  // ═══════════════════════════════════════════════════════════════════
+
+  /**
+   * Replay this tape from the start on the same seed, stopping at `beat`
+   */
+  jumpTo(beat) {
+    if (!this.#beat) {
+      throw new Error(`${this.#tape || 'This page'} has no numbered beats to jump to`);
+    }
+    const target = Math.trunc(Number(beat));
+    if (!(target >= 1 && target <= this.#beat.total)) {
+      throw new Error(`Beat must be between 1 and ${this.#beat.total}, got ${beat}`);
+    }
+
+    const answers = Object.fromEntries(game.getSession(this.#tape).choices.map(c => [c.decision, c.option]));
+    writePlan({ tape: this.#tape, beat: target, answers, forced: this.#forced });
+    game.rewindTape(this.#tape);
+
+    const url = new URL(location.href);
+    const seed = game.getSeed(this.#tape);
+    if (seed !== null) url.searchParams.set('seed', seed);
+    url.searchParams.set('debug', '1');
+    location.assign(url);
+  }
+
+  force(decisionId, optionId) {
+    if (optionId) {
+      this.#forced[decisionId] = optionId;
+      this.log(`${decisionId} will take ${optionId}`);
+    } else {
+      delete this.#forced[decisionId];
+      this.log(`${decisionId} is no longer forced`);
+    }
+    writePlan({ forced: this.#forced });
+  }
+
+  /**
+   * Add a line to the overlay's log (level: 'info' | 'warn' | 'error')
+   */
+  log(message, level = 'info') {
+    const time = new Date().toTimeString().slice(0, 8);
+    this.#lines.push({ text: `${time} ${message}`, level });
+    if (this.#lines.length > LOG_LIMIT) this.#lines.shift();
+    if (this.isOpen) this.#renderLog();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // PANEL
+  // ═══════════════════════════════════════════════════════════════════
+
+  open() {
+    if (!this.#root) this.#build();
+    this.#root.hidden = false;
+    this.#fillEditors();
+    this.#refresh();
+    this.#renderLog();
+    this.#timer = setInterval(() => this.#refresh(), REFRESH_MS);
+  }
+
+  close() {
+    if (!this.#root) return;
+    this.#root.hidden = true;
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  toggle() {
+    this.isOpen ? this.close() : this.open();
+  }
+
+  #build() {
+    const style = document.createElement('style');
+    style.textContent = STYLE;
+    document.head.appendChild(style);
+
+    const root = document.createElement('div');
+    root.id = 'debug-overlay';
+    root.hidden = true;
+    root.innerHTML = `
+      <header><b>DEBUG${this.#tape ? ` · ${this.#tape}` : ''}</b><span data-ref="where"></span><button class="x" data-action="close" title="Close (Ctrl+Shift+D)">✕</button></header>
+      <section data-ref="state"></section>
+      <section>
+        <h4>EDIT</h4>
+        <div class="row"><select data-ref="stat"></select><input type="number" data-ref="statValue"><button data-action="set-stat">Set</button></div>
+        <div class="row"><select data-ref="effect"></select><button data-action="set-effect">Set</button><button data-action="clear-effect">Clear</button></div>
+      </section>
+      <section data-ref="forceSection">
+        <h4>FORCE</h4>
+        <div class="row"><select data-ref="decision"></select><select data-ref="option"></select><button data-action="force">Force</button></div>
+        <div data-ref="forced"></div>
+      </section>
+      <section>
+        <h4>JUMP</h4>
+        <div class="row"><span>beat</span><input type="number" min="1" data-ref="beat"><button data-action="jump">Go</button></div>
+      </section>
+      <section>
+        <h4>SAVE</h4>
+        <div class="row"><button data-action="export">Export</button><button data-action="import">Import…</button><input type="file" accept=".json,application/json" data-ref="file" hidden></div>
+      </section>
+      <section><h4>LOG</h4><pre data-ref="log"></pre></section>`;
+
+    // Keep the tape's own click/key handlers (advance, choose) out of it
+    for (const type of ['click', 'touchend', 'keydown', 'keyup']) {
+      root.addEventListener(type, e => e.stopPropagation());
+    }
+    root.addEventListener('click', e => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (!action) return;
+      try {
+        this.#act(action, e.target.closest('[data-action]'));
+      } catch (err) {
+        this.log(err.message, 'error');
+      }
+    });
+    root.querySelector('[data-ref="decision"]').addEventListener('change', () => this.#fillOptions());
+    root.querySelector('[data-ref="stat"]').addEventListener('change', () => this.#fillStatValue());
+    root.querySelector('[data-ref="file"]').addEventListener('change', e => this.#importFile(e.target.files[0]));
+
+    document.body.appendChild(root);
+    this.#root = root;
+  }
+
+  #ref(name) {
+    return this.#root.querySelector(`[data-ref="${name}"]`);
+  }
+
+  #act(action, el) {
+    switch (action) {
+      case 'close':
+        return this.close();
+
+      case 'set-stat': {
+        const stat = this.#ref('stat').value;
+        const value = Number(this.#ref('statValue').value);
+        if (!Number.isFinite(value)) throw new Error('Enter a number to set the stat to');
+        const change = game.adjustStat(stat, value - game.getStats()[stat], 'debug');
+        return this.log(`${stat}: ${change.before} → ${change.after}`);
+      }
+
+      case 'set-effect':
+      case 'clear-effect': {
+        const effectId = this.#ref('effect').value;
+        const change = game.setEffect(effectId, action === 'set-effect');
+        return this.log(`${effectId}: ${change.before} → ${change.after}`);
+      }
+
+      case 'unset':
+        game.setEffect(el.dataset.id, false);
+        return this.log(`${el.dataset.id} cleared`);
+
+      case 'force':
+        return this.force(this.#ref('decision').value, this.#ref('option').value);
+
+      case 'unforce':
+        this.force(el.dataset.id, null);
+        return this.#renderForced();
+
+      case 'jump':
+        return this.jumpTo(this.#ref('beat').value);
+
+      case 'export':
+        return this.#exportSave();
+
+      case 'import':
+        return this.#ref('file').click();
+    }
+  }
+
+  // Selects only change when the graph does, so they're filled on open
+  #fillEditors() {
+    const stats = game.getStatDefinitions();
+    this.#ref('stat').innerHTML = Object.keys(stats).map(name => `<option>${name}</option>`).join('');
+    this.#fillStatValue();
+
+    const effects = Object.entries(DecisionEngine.getEffectDefinitions())
+      .filter(([, effect]) => EDITABLE_TYPES.includes(effect.type))
+      .sort(([a, x], [b, y]) => x.type.localeCompare(y.type) || a.localeCompare(b));
+    this.#ref('effect').innerHTML = effects
+      .map(([id, effect]) => `<option value="${id}">${effect.type} · ${id}</option>`).join('');
+
+    const decisions = this.#tape ? game.getDecisionsForTape(this.#tape) : [];
+    this.#ref('forceSection').hidden = decisions.length === 0;
+    this.#ref('decision').innerHTML = decisions.map(d => `<option>${d.id}</option>`).join('');
+    this.#fillOptions();
+    this.#renderForced();
+  }
+
+  #fillStatValue() {
+    this.#ref('statValue').value = game.getStats()[this.#ref('stat').value] ?? '';
+  }
+
+  #fillOptions() {
+    const decisionId = this.#ref('decision').value;
+    const options = decisionId ? game.getAvailableOptions(decisionId) : [];
+    this.#ref('option').innerHTML = options
+      .map(o => `<option value="${o.id}">${o.id}${o.available ? '' : ' 🔒'}</option>`).join('');
+  }
+
+  #renderForced() {
+    const entries = Object.entries(this.#forced);
+    this.#ref('forced').innerHTML = entries.length
+      ? entries.map(([decisionId, optionId]) =>
+        `<span class="chip">${decisionId} → ${optionId}<button class="x" data-action="unforce" data-id="${decisionId}">✕</button></span>`).join('')
+      : '<span class="none">nothing forced</span>';
+  }
+
+  // Redraw the live view, skipping frames where nothing changed
+  #refresh() {
+    const state = DecisionEngine.getState();
+    const view = {
+      stats: game.getStats(),
+      flags: state.flags,
+      memories: [...new Set(state.memories.map(m => m.id))],
+      arcs: state.arcs,
+      summary: game.getRelationshipSummary(),
+      tone: game.getTone(),
+      milestones: game.getMilestones().map(m => m.id),
+      history: state.history.length,
+      beat: this.#beat,
+      seed: this.#tape ? game.getSeed(this.#tape) : null
+    };
+    const key = JSON.stringify(view);
+    if (key === this.#rendered) return;
+    this.#rendered = key;
+
+    const defs = game.getStatDefinitions();
+    const statRows = Object.entries(view.stats).map(([name, value]) => {
+      const { min = 0, max = 100 } = defs[name] || {};
+      const pct = max > min ? ((value - min) / (max - min)) * 100 : 0;
+      return `<tr><td>${name}</td><td>${value}</td><td style="width:50%"><div class="bar"><i style="width:${pct}%"></i></div></td></tr>`;
+    }).join('');
+    const chips = (type, ids) => ids.length
+      ? ids.map(id => `<span class="chip ${type}">${id}<button class="x" data-action="unset" data-id="${id}" title="Clear">✕</button></span>`).join('')
+      : '<span class="none">none</span>';
+
+    this.#ref('state').innerHTML = `
+      <h4>STATE · ${view.history} history entries</h4>
+      <table>${statRows}</table>
+      <div class="row">phase <b>${view.summary.phase}</b> · tone <b>${view.tone}</b> · soil <b>${view.summary.soilType || '-'}</b></div>
+      <h4>MILESTONES</h4><div>${view.milestones.length ? view.milestones.map(id => `<span class="chip">${id}</span>`).join('') : '<span class="none">none</span>'}</div>
+      <h4>FLAGS</h4><div>${chips('flag', view.flags)}</div>
+      <h4>MEMORIES</h4><div>${chips('memory', view.memories)}</div>
+      <h4>ARCS</h4><div>${chips('arc', view.arcs)}</div>`;
+
+    this.#ref('where').textContent = [
+      view.beat ? `beat ${view.beat.index}/${view.beat.total}` : null,
+      view.seed ? `seed ${view.seed}` : null
+    ].filter(Boolean).join(' · ');
+
+    const beatInput = this.#ref('beat');
+    beatInput.disabled = !view.beat;
+    beatInput.max = view.beat?.total ?? '';
+    this.#root.querySelector('[data-action="jump"]').disabled = !view.beat;
+  }
+
+  #renderLog() {
+    const log = this.#ref('log');
+    log.innerHTML = this.#lines
+      .map(({ text, level }) => `<span class="${level}">${escapeHtml(text)}</span>`).join('\n');
+    log.scrollTop = log.scrollHeight;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // SAVES
+  // ═══════════════════════════════════════════════════════════════════
+
+  #exportSave() {
+    const blob = new Blob([game.exportState()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `seed-archive-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    this.log(`Exported ${link.download}`);
+  }
+
+  async #importFile(file) {
+    if (!file) return;
+    this.#ref('file').value = '';
+    if (!game.importState(await file.text())) {
+      this.log(`${file.name} was not imported (see the warnings above)`, 'error');
+      return;
+    }
+    this.log(`Imported ${file.name}; reloading`);
+    location.reload();
+  }
+
+  // Engine warnings and errors show up in the log as well as the console
+  #captureConsole() {
+    for (const level of ['warn', 'error']) {
+      const original = console[level].bind(console);
+      console[level] = (...args) => {
+        original(...args);
+        this.log(args.map(describe).join(' '), level);
+      };
+    }
+  }
+}
+
+function readPlan() {
+  try {
+    return JSON.parse(sessionStorage.getItem(PLAN_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writePlan(plan) {
+  try {
+    sessionStorage.setItem(PLAN_KEY, JSON.stringify(plan));
+  } catch (e) {
+    console.warn('Debug overlay could not save its plan:', e);
+  }
+}
+
+function describe(value) {
+  if (value instanceof Error) return value.message;
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+const debugOverlay = new DebugOverlay();
+export default debugOverlay;
@@ -4,37 +4,156 @@
  * ARCHITECTURE PRINCIPLES:
  * 1. Every decision MUST have effects that are consumed downstream
  * 2. Ghost decisions (no downstream impact) are detected and warned
- * 3. State is persisted to localStorage for cross-tape continuity
+ * 3. State is persisted to localStorage for cross-tape continuity,
+ *    one run per named save slot
  * 4. O(1) lookups via Map data structures
+ * 5. State is always reproducible by replaying history (see Replay.js)
+ * 6. Stats, their bounds, defaults and decay come from decisions.json
  * 
  * @version 1.0.0
  */
 
+import SaveStore, { isPlainObject } from './SaveStore.js';
+import { compileCondition, legacyCondition } from './Condition.js';
+import { replay, verifyRun, createState, snapshotState, applyChoice, describeEntry } from './Replay.js';
+import { isDifficulty, DEFAULT_DIFFICULTY } from './Difficulty.js';
+
 const DECISION_KEY = 'seed_archive_decisions_v1';
+// The stats saves had before they were declared in decisions.json
+const LEGACY_STAT_NAMES = ['trust', 'guard', 'honesty', 'vulnerability'];
+const DEFAULT_SLOT_ID = 'main';
+const STAT_GATE = /^(min|max)_(\w+)$/;   // option keys like min_honesty, max_guard
+
+const isValidRun = run => isPlainObject(run) &&
+  isPlainObject(run.stats) &&
+  ['flags', 'memories', 'arcs', 'history'].every(k => Array.isArray(run[k]));
+
+// Save schema history. Reshape the save by appending a migration;
+// never edit one that has shipped.
+const decisionStore = new SaveStore(DECISION_KEY, {
+  migrations: [
+    {
+      version: 1,
+      description: 'Envelope unversioned saves (and flat getState() dumps)',
+      up: data => {
+        if (!isPlainObject(data)) throw new Error('save is not an object');
+        const stats = isPlainObject(data.stats) ? data.stats : data;
+        return {
+          stats: Object.fromEntries(LEGACY_STAT_NAMES.map(s => [s, Number(stats[s]) || 0])),
+          flags: data.flags || [],
+          memories: data.memories || [],
+          arcs: data.arcs || [],
+          history: data.history || [],
+          baseline: data.baseline || null
+        };
+      }
+    },
+    {
+      version: 2,
+      description: 'Move the single run into the default save slot',
+      up: run => {
+        const last = run.history[run.history.length - 1];
+        const meta = createSlotMeta(DEFAULT_SLOT_ID, 'Main');
+        meta.lastTape = last?.tape || null;
+        meta.updatedAt = last?.timestamp || meta.createdAt;
+        return {
+          activeSlot: DEFAULT_SLOT_ID,
+          slots: { [DEFAULT_SLOT_ID]: { meta, run } }
+        };
+      }
+    },
+    {
+      version: 3,
+      description: 'Give every slot a difficulty',
+      up: data => {
+        for (const slot of Object.values(data.slots)) {
+          if (!isDifficulty(slot.meta?.difficulty)) slot.meta.difficulty = DEFAULT_DIFFICULTY;
+        }
+        return data;
+      }
+    }
+  ],
+  validate: data => isPlainObject(data.slots) &&
+    isPlainObject(data.slots[data.activeSlot]) &&
+    Object.values(data.slots).every(slot => isPlainObject(slot?.meta) &&
+      (slot.run === null || isValidRun(slot.run)))
+});
+
+/**
+ * Slot metadata shown by save pickers. `phase` and `soil` are filled in
+ * by GameEngine, which knows how to read them off the run; `difficulty`
+ * is a Difficulty.js level the player picks per run.
+ */
+function createSlotMeta(id, name) {
+  const now = Date.now();
+  return {
+    id,
+    name: name || id,
+    createdAt: now,
+    updatedAt: now,
+    lastTape: null,
+    phase: null,
+    soil: null,
+    difficulty: DEFAULT_DIFFICULTY
+  };
+}
 
 class DecisionEngine {
   #decisions;       // Map<decisionId, Decision>
   #effects;         // Map<effectId, Effect>
   #consumers;       // Map<effectId, Consumer[]>
   #producedBy;      // Map<effectId, decisionId> - reverse lookup
-  #playerState;     // Current player state
+  #graph;           // Raw { decisions, effects, stats } from decisions.json, for Replay
+  #playerState;     // { stats, flags: Set, memories: [], arcs: Set } - see Replay.createState
   #history;         // Chronological choice history
+  #effectLog;       // Every applied effect with before/after values, parallel to history
+  #baseline;        // State carried over from a pre-engine save, replayed under history
+  #seeds;           // { [tapeId]: seed } - the Random seed each tape last started with
+  #slots;           // { [slotId]: { meta, run } } - the active slot's run is live above
+  #activeSlot;      // slotId
+  #endings;         // Endings declared in decisions.json
+  #consumerDefs;    // Map<consumerId, Consumer>
+  #conditions;      // Map<source, predicate> - compiled condition cache
+  #conditionContext;
+  #phaseSource;     // () => relationship phase; RelationshipEngine lives above us
+  #phaseOrder;      // () => every phase id, in order
+  #endingSource;    // endingId => reached? Tape records live in GameEngine
+  #toneSource;      // () => Minji's tone, from RelationshipEngine too
 
   constructor() {
     this.#decisions = new Map();
     this.#effects = new Map();
     this.#consumers = new Map();
     this.#producedBy = new Map();
-    this.#playerState = {
-      trust: 0,
-      guard: 0,
-      honesty: 0,
-      vulnerability: 0,
-      activeFlags: new Set(),
-      memories: [],
-      arcFlags: new Set()
-    };
+    this.#graph = { decisions: {}, effects: {}, stats: {} };
+    this.#playerState = createState(null, {});
     this.#history = [];
+    this.#effectLog = [];
+    this.#baseline = null;
+    this.#seeds = {};
+    this.#slots = { [DEFAULT_SLOT_ID]: { meta: createSlotMeta(DEFAULT_SLOT_ID, 'Main'), run: null } };
+    this.#activeSlot = DEFAULT_SLOT_ID;
+    this.#endings = {};
+    this.#consumerDefs = new Map();
+    this.#conditions = new Map();
+    this.#phaseSource = () => null;
+    this.#phaseOrder = () => [];
+    this.#endingSource = () => false;
+    this.#toneSource = () => null;
+    this.#conditionContext = {
+      stat: name => this.getStat(name),
+      has: id => this.hasEffect(id),
+      flag: id => this.hasFlag(id),
+      memory: id => this.hasMemory(id),
+      arc: id => this.#playerState.arcs.has(id),
+      chose: (decisionId, optionId) => optionId
+        ? this.wasChoiceMade(decisionId, optionId)
+        : this.getLastChoice(decisionId) !== null,
+      phase: () => this.#phaseSource(),
+      phases: () => this.#phaseOrder(),
+      ending: id => this.#endingSource(id),
+      tone: () => this.#toneSource()
+    };
   }
 
   // ═══════════════════════════════════════════════════════════════════
@@ -47,7 +166,15 @@ class DecisionEngine {
       if (!response.ok) throw new Error(`Failed to load ${dataPath}`);
       
       const data = await response.json();
-      
+      this.#graph = {
+        decisions: data.decisions || {},
+        effects: data.effects || {},
+        stats: data.stats || {}
+      };
+
+      // Loading again (a headless playthrough re-initializes per run) starts the indexes over
+      [this.#decisions, this.#effects, this.#consumers, this.#producedBy, this.#consumerDefs].forEach(index => index.clear());
+
       // Index decisions
       for (const [id, decision] of Object.entries(data.decisions || {})) {
         this.#decisions.set(id, { id, ...decision });
@@ -60,6 +187,7 @@ class DecisionEngine {
       
       // Build consumer index and reverse lookup
       for (const [consumerId, consumer] of Object.entries(data.consumers || {})) {
+        this.#consumerDefs.set(consumerId, { id: consumerId, ...consumer });
         for (const effectId of consumer.checks || []) {
           if (!this.#consumers.has(effectId)) {
             this.#consumers.set(effectId, []);
@@ -68,15 +196,24 @@ class DecisionEngine {
         }
       }
       
-      // Build producer reverse lookup
+      // Build producer reverse lookup; option gates count as consumers
       for (const [decId, decision] of this.#decisions) {
         for (const option of decision.options || []) {
           for (const effectId of option.effects || []) {
             this.#producedBy.set(effectId, decId);
           }
+          for (const effectId of [...(option.requires || []), ...(option.excludes || [])]) {
+            if (!this.#consumers.has(effectId)) {
+              this.#consumers.set(effectId, []);
+            }
+            this.#consumers.get(effectId).push({ id: `${decId}.${option.id}`, tape: decision.tape, gate: true });
+          }
         }
       }
       
+      this.#endings = data.endings || {};
+      this.#compileConditions();
+      
       // Restore saved state
       this.#restoreState();
       
@@ -139,23 +276,14 @@ class DecisionEngine {
       throw new Error(`Unknown option: ${optionId} for decision ${decisionId}`);
     }
     
-    // Record the choice
-    this.#history.push({
-      decisionId,
-      optionId,
-      timestamp: Date.now(),
-      tape: decision.tape
-    });
-    
-    // Apply effects
-    const appliedEffects = [];
-    for (const effectId of option.effects || []) {
-      const result = this.#applyEffect(effectId);
-      if (result) {
-        appliedEffects.push({ id: effectId, ...result });
-      }
+    const locks = this.#lockReasons(option);
+    if (locks.length > 0) {
+      throw new Error(`Option ${optionId} for decision ${decisionId} is locked: ${locks.map(l => l.message).join('; ')}`);
     }
     
+    const appliedEffects = this.#commitChoice(decision, option, Date.now())
+      .filter(effect => effect.id !== null);
+    
     // Persist state
     this.#saveState();
     
@@ -167,42 +295,147 @@ class DecisionEngine {
     };
   }
 
-  #applyEffect(effectId) {
+  /**
+   * Change a stat outside a decision - a minigame score, say. The change
+   * is recorded in history like a choice, so replay and rewind see it.
+   */
+  adjustStat(statName, delta, { tape = null, reason = null } = {}) {
+    if (!Object.hasOwn(this.#graph.stats, statName)) {
+      throw new Error(`Unknown stat: ${statName}`);
+    }
+    if (!Number.isFinite(delta)) {
+      throw new Error(`Stat adjustment for ${statName} must be a number, got ${delta}`);
+    }
+    
+    const [change] = this.#commit({ kind: 'adjust', stat: statName, delta, reason, timestamp: Date.now(), tape })
+      .filter(effect => effect.type === 'stat');
+    this.#saveState();
+    return change;
+  }
+
+  /**
+   * Set or clear a flag, memory or arc outside a decision - the debug
+   * overlay's edits. Recorded in history like adjustStat, so replay
+   * reproduces it.
+   */
+  setEffect(effectId, active = true, { tape = null, reason = null } = {}) {
     const effect = this.#effects.get(effectId);
     if (!effect) {
-      console.warn(`Unknown effect: ${effectId}`);
-      return null;
+      throw new Error(`Unknown effect: ${effectId}`);
+    }
+    if (effect.type === 'stat') {
+      throw new Error(`${effectId} is a stat effect; adjust ${effect.stat} instead`);
+    }
+
+    const [change] = this.#commit({ kind: 'effect', effectId, active: Boolean(active), reason, timestamp: Date.now(), tape });
+    this.#saveState();
+    return change;
+  }
+
+  // Live play goes through the same Replay.applyChoice as a full replay
+  #commitChoice(decision, option, timestamp) {
+    for (const effectId of option.effects || []) {
+      if (!this.#effects.has(effectId)) console.warn(`Unknown effect: ${effectId}`);
     }
     
-    switch (effect.type) {
-      case 'stat':
-        const stat = effect.stat;
-        const delta = effect.delta;
-        if (this.#playerState.hasOwnProperty(stat)) {
-          this.#playerState[stat] = Math.max(0, Math.min(100, 
-            this.#playerState[stat] + delta));
-        }
-        return { type: 'stat', stat, delta, newValue: this.#playerState[stat] };
-        
-      case 'flag':
-        this.#playerState.activeFlags.add(effectId);
-        return { type: 'flag', flag: effectId };
-        
-      case 'memory':
-        this.#playerState.memories.push({
-          id: effectId,
-          description: effect.description,
-          timestamp: Date.now()
+    return this.#commit({
+      decisionId: decision.id,
+      optionId: option.id,
+      timestamp,
+      tape: decision.tape
+    });
+  }
+
+  #commit(entry) {
+    const previous = this.#history[this.#history.length - 1] || null;
+    const logged = applyChoice(this.#playerState, entry, this.#history.length, this.#graph, this.#effectLog, previous);
+    this.#history.push(entry);
+    
+    return logged.map(({ effectId, type, stat, delta, before, after }) => ({
+      id: effectId,
+      type,
+      before,
+      after,
+      ...(stat !== undefined ? { stat, delta, newValue: after } : { [type]: effectId })
+    }));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // OPTION AVAILABILITY
+  // ═══════════════════════════════════════════════════════════════════
+
+  /**
+   * Every option of a decision with whether it can be picked right now.
+   * Locked options carry `lockedReason` (the option's `locked_text` if it
+   * has one) and the individual `locks` that failed.
+   */
+  getAvailableOptions(decisionId) {
+    const decision = this.#decisions.get(decisionId);
+    if (!decision) {
+      throw new Error(`Unknown decision: ${decisionId}`);
+    }
+    
+    return (decision.options || []).map(option => {
+      const locks = this.#lockReasons(option);
+      return {
+        ...option,
+        available: locks.length === 0,
+        lockedReason: locks.length ? (option.locked_text || locks[0].message) : null,
+        locks
+      };
+    });
+  }
+
+  isOptionAvailable(decisionId, optionId) {
+    const option = this.#decisions.get(decisionId)?.options?.find(o => o.id === optionId);
+    return !!option && this.#lockReasons(option).length === 0;
+  }
+
+  /**
+   * Gates an option can declare:
+   *   requires: [effectIds]   - all must be active
+   *   excludes: [effectIds]   - none may be active
+   *   min_<stat> / max_<stat> - inclusive stat bounds
+   *   when: "<condition>"     - see Condition.js
+   */
+  #lockReasons(option) {
+    const locks = [];
+    const describe = effectId => this.#effects.get(effectId)?.description || effectId;
+    
+    for (const effectId of option.requires || []) {
+      if (!this.hasEffect(effectId)) {
+        locks.push({ type: 'requires', effect: effectId, message: `Requires: ${describe(effectId)}` });
+      }
+    }
+    
+    for (const effectId of option.excludes || []) {
+      if (this.hasEffect(effectId)) {
+        locks.push({ type: 'excludes', effect: effectId, message: `Ruled out by: ${describe(effectId)}` });
+      }
+    }
+    
+    for (const [key, limit] of Object.entries(option)) {
+      const gate = STAT_GATE.exec(key);
+      if (!gate) continue;
+      
+      const [, bound, stat] = gate;
+      const value = this.getStat(stat);
+      if (bound === 'min' ? value < limit : value > limit) {
+        locks.push({
+          type: key,
+          stat,
+          limit,
+          value,
+          message: bound === 'min' ? `Needs ${stat} ${limit}+ (have ${value})` : `Needs ${stat} ${limit} or less (have ${value})`
         });
-        return { type: 'memory', memory: effectId };
-        
-      case 'arc':
-        this.#playerState.arcFlags.add(effectId);
-        return { type: 'arc', arc: effectId };
-        
-      default:
-        return { type: 'unknown', effectId };
+      }
+    }
+    
+    if (option.when && !this.evaluate(option.when)) {
+      locks.push({ type: 'when', condition: option.when, message: `Needs: ${option.when}` });
     }
+    
+    return locks;
   }
 
   // ═══════════════════════════════════════════════════════════════════
@@ -211,31 +444,63 @@ class DecisionEngine {
 
   getState() {
     return {
-      trust: this.#playerState.trust,
-      guard: this.#playerState.guard,
-      honesty: this.#playerState.honesty,
-      vulnerability: this.#playerState.vulnerability,
-      flags: [...this.#playerState.activeFlags],
+      ...this.#playerState.stats,
+      flags: [...this.#playerState.flags],
       memories: [...this.#playerState.memories],
-      arcs: [...this.#playerState.arcFlags],
+      arcs: [...this.#playerState.arcs],
       history: [...this.#history]
     };
   }
 
   hasFlag(flagId) {
-    return this.#playerState.activeFlags.has(flagId);
+    return this.#playerState.flags.has(flagId);
+  }
+
+  /**
+   * True if the effect is active in any form (flag, memory or arc)
+   */
+  hasEffect(effectId) {
+    return this.hasFlag(effectId) ||
+      this.hasMemory(effectId) ||
+      this.#playerState.arcs.has(effectId);
   }
 
   hasAnyFlag(...flagIds) {
-    return flagIds.some(f => this.#playerState.activeFlags.has(f));
+    return flagIds.some(f => this.#playerState.flags.has(f));
   }
 
   hasAllFlags(...flagIds) {
-    return flagIds.every(f => this.#playerState.activeFlags.has(f));
+    return flagIds.every(f => this.#playerState.flags.has(f));
   }
 
   getStat(statName) {
-    return this.#playerState[statName] || 0;
+    return this.#playerState.stats[statName] || 0;
+  }
+
+  getStats() {
+    return { ...this.#playerState.stats };
+  }
+
+  /**
+   * Declared stats from decisions.json: { name: { min, max, default, decay?, description } }
+   */
+  getStatDefinitions() {
+    return structuredClone(this.#graph.stats);
+  }
+
+  /**
+   * Declared effects from decisions.json: { id: { type, stat?, delta?, description } }
+   */
+  getEffectDefinitions() {
+    return structuredClone(this.#graph.effects);
+  }
+
+  /**
+   * Run endings from decisions.json, in the order determineEnding() tries them:
+   * { id: { when, description, title?, hint? } }
+   */
+  getEndingDefinitions() {
+    return structuredClone(this.#endings);
   }
 
   getMemories() {
@@ -250,6 +515,26 @@ class DecisionEngine {
     return [...this.#history];
   }
 
+  /**
+   * Every effect applied this run, in order, with before/after values:
+   * { seq, choice, decisionId, optionId, effectId, type, stat?, delta?, before, after, timestamp }
+   */
+  getEffectLog() {
+    return this.#effectLog.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * The seed a tape's gameplay rolls last used, or null (see Random.js)
+   */
+  getSeed(tapeId) {
+    return this.#seeds[tapeId] ?? null;
+  }
+
+  setSeed(tapeId, seed) {
+    this.#seeds[tapeId] = String(seed);
+    this.#saveState();
+  }
+
   getLastChoice(decisionId) {
     const entries = this.#history.filter(h => h.decisionId === decisionId);
     return entries.length > 0 ? entries[entries.length - 1] : null;
@@ -309,16 +594,13 @@ class DecisionEngine {
    * Returns the first matching variant from the provided options
    */
   getVariant(variants) {
-    // variants = [{ requires: [...flags], text: "..." }, ...]
+    // variants = [{ when: "trust >= 10", text: "..." }, { requires: [...effects], text: "..." }, ...]
     for (const variant of variants) {
-      const requires = variant.requires || [];
-      const hasAll = requires.every(flag => 
-        this.hasFlag(flag) || this.hasMemory(flag));
-      if (hasAll) {
+      if (this.evaluate(variant.when ?? legacyCondition({ requires: variant.requires }))) {
         return variant;
       }
     }
-    return variants.find(v => !v.requires) || variants[0];
+    return variants.find(v => !v.requires && !v.when) || variants[0];
   }
 
   /**
@@ -340,27 +622,16 @@ class DecisionEngine {
   // ENDING DETERMINATION
   // ═══════════════════════════════════════════════════════════════════
 
-  determineEnding(endings) {
+  /**
+   * First ending whose `when` condition holds (older `requires` /
+   * `min_<stat>` fields are still read). Defaults to decisions.json endings.
+   */
+  determineEnding(endings = this.#endings) {
     // Check endings in order of specificity
     for (const [endingId, ending] of Object.entries(endings)) {
-      // Check requires flags
-      if (ending.requires) {
-        const hasRequirements = ending.requires.every(flag => 
-          this.hasFlag(flag) || this.#playerState.arcFlags.has(flag));
-        if (!hasRequirements) continue;
-      }
-      
-      // Check min_trust
-      if (ending.min_trust && this.#playerState.trust < ending.min_trust) {
-        continue;
+      if (this.evaluate(ending.when ?? legacyCondition(ending))) {
+        return { id: endingId, ...ending };
       }
-      
-      // Check min_guard
-      if (ending.min_guard && this.#playerState.guard < ending.min_guard) {
-        continue;
-      }
-      
-      return { id: endingId, ...ending };
     }
     
     // Default ending
@@ -368,89 +639,375 @@ class DecisionEngine {
   }
 
   // ═══════════════════════════════════════════════════════════════════
-  // PERSISTENCE
+  // CONDITIONS - Shared expression language (see Condition.js)
   // ═══════════════════════════════════════════════════════════════════
 
-  #saveState() {
-    const state = {
-      stats: {
-        trust: this.#playerState.trust,
-        guard: this.#playerState.guard,
-        honesty: this.#playerState.honesty,
-        vulnerability: this.#playerState.vulnerability
-      },
-      flags: [...this.#playerState.activeFlags],
-      memories: this.#playerState.memories,
-      arcs: [...this.#playerState.arcFlags],
-      history: this.#history
-    };
+  /**
+   * Evaluate a condition against the current state. An empty condition
+   * holds; one that fails to compile never does. `stat` replaces the stat
+   * lookup, for callers with stats of their own (a battle's working copy).
+   */
+  evaluate(source, stat = null) {
+    if (!source) return true;
+    const context = stat ? { ...this.#conditionContext, stat } : this.#conditionContext;
+    return this.#condition(source)(context);
+  }
+
+  /**
+   * Whether a consumer's callback should fire: its `when` condition, or
+   * any of its `checks` being active
+   */
+  isConsumerActive(consumerId) {
+    const consumer = this.#consumerDefs.get(consumerId);
+    if (!consumer) return false;
     
-    try {
-      localStorage.setItem(DECISION_KEY, JSON.stringify(state));
-    } catch (e) {
-      console.warn('Failed to save state to localStorage:', e);
-    }
+    if (consumer.when) return this.evaluate(consumer.when);
+    return (consumer.checks || []).some(effectId => this.hasEffect(effectId));
   }
 
-  #restoreState() {
-    try {
-      const saved = localStorage.getItem(DECISION_KEY);
-      if (!saved) return;
-      
-      const state = JSON.parse(saved);
-      
-      if (state.stats) {
-        Object.assign(this.#playerState, state.stats);
-      }
-      
-      if (state.flags) {
-        this.#playerState.activeFlags = new Set(state.flags);
-      }
-      
-      if (state.memories) {
-        this.#playerState.memories = state.memories;
+  /**
+   * Where conditions read the current phase and the phase order from
+   */
+  setPhaseSource(phaseSource, phaseOrder = () => []) {
+    this.#phaseSource = phaseSource;
+    this.#phaseOrder = phaseOrder;
+  }
+
+  setEndingSource(endingSource) {
+    this.#endingSource = endingSource;
+  }
+
+  setToneSource(toneSource) {
+    this.#toneSource = toneSource;
+  }
+
+  #condition(source) {
+    if (!this.#conditions.has(source)) {
+      try {
+        this.#conditions.set(source, compileCondition(source));
+      } catch (e) {
+        console.error(`Bad condition, treating as false: ${e.message}`);
+        this.#conditions.set(source, () => false);
       }
-      
-      if (state.arcs) {
-        this.#playerState.arcFlags = new Set(state.arcs);
+    }
+    return this.#conditions.get(source);
+  }
+
+  // Compile everything decisions.json declares up front so typos surface at load
+  #compileConditions() {
+    for (const ending of Object.values(this.#endings)) {
+      const source = ending.when ?? legacyCondition(ending);
+      if (source) this.#condition(source);
+    }
+    for (const decision of this.#decisions.values()) {
+      for (const option of decision.options || []) {
+        if (option.when) this.#condition(option.when);
       }
-      
-      if (state.history) {
-        this.#history = state.history;
+    }
+    for (const consumer of this.#consumerDefs.values()) {
+      if (consumer.when) this.#condition(consumer.when);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // REPLAY - Rebuild state from baseline + history
+  // ═══════════════════════════════════════════════════════════════════
+
+  /**
+   * Drop every choice made on a tape and rebuild state from what remains.
+   * Called when a tape is (re)started so a replay doesn't stack effects.
+   * Effects a pre-engine save carried over from that tape's decisions go
+   * too; its stats were merged across tapes, so those stay.
+   */
+  resetTape(tapeId) {
+    const kept = this.#history.filter(h => h.tape !== tapeId);
+    const fromTape = effectId => this.#decisions.get(this.#producedBy.get(effectId))?.tape === tapeId;
+    const baseline = this.#baseline && {
+      ...this.#baseline,
+      flags: this.#baseline.flags.filter(id => !fromTape(id)),
+      memories: this.#baseline.memories.filter(memory => !fromTape(memory.id)),
+      arcs: this.#baseline.arcs.filter(id => !fromTape(id))
+    };
+    const baselineChanged = baseline && ['flags', 'memories', 'arcs'].some(kind => baseline[kind].length !== this.#baseline[kind].length);
+    if (kept.length === this.#history.length && !baselineChanged) return false;
+    
+    if (baselineChanged) this.#baseline = baseline;
+    this.#rebuild(kept);
+    this.#saveState();
+    return true;
+  }
+
+  /**
+   * Take back the most recent choice. Returns the removed history entry,
+   * or null when there is nothing to undo.
+   */
+  undoLastChoice() {
+    if (this.#history.length === 0) return null;
+    return this.rewindTo(this.#history.length - 1)[0];
+  }
+
+  /**
+   * Return to the moment before history[historyIndex] was chosen. That
+   * choice and everything after it are dropped, and state is replayed
+   * from the baseline against the effect table. Returns the dropped entries.
+   */
+  rewindTo(historyIndex) {
+    if (!Number.isInteger(historyIndex) || historyIndex < 0 || historyIndex > this.#history.length) {
+      throw new Error(`Invalid history index: ${historyIndex} (history has ${this.#history.length} entries)`);
+    }
+    
+    const dropped = this.#history.slice(historyIndex);
+    this.#rebuild(this.#history.slice(0, historyIndex));
+    this.#saveState();
+    return dropped;
+  }
+
+  #rebuild(history) {
+    const result = replay(history, this.#graph, { baseline: this.#baseline });
+    for (const entry of result.dropped) {
+      console.warn(`Dropping stale history entry: ${describeEntry(entry)}`);
+    }
+    
+    this.#playerState = createState(result.state, this.#graph.stats);
+    this.#history = result.history;
+    this.#effectLog = result.log;
+  }
+
+  /**
+   * Seed state from a save written before the engine existed.
+   * Effect IDs are sorted into flags, memories and arcs by their declared
+   * type; IDs the graph doesn't know are kept as plain flags.
+   */
+  restoreLegacyState({ stats = {}, effects = [] } = {}) {
+    const baseline = { stats: {}, flags: [], memories: [], arcs: [] };
+    
+    for (const stat of Object.keys(this.#graph.stats)) {
+      if (stat in stats) baseline.stats[stat] = Number(stats[stat]) || 0;
+    }
+    
+    for (const effectId of new Set(effects)) {
+      const effect = this.#effects.get(effectId);
+      if (effect?.type === 'stat') continue;
+      if (effect?.type === 'memory') {
+        baseline.memories.push({
+          id: effectId,
+          description: effect.description,
+          timestamp: Date.now()
+        });
+      } else if (effect?.type === 'arc') {
+        baseline.arcs.push(effectId);
+      } else {
+        baseline.flags.push(effectId);
       }
-      
-      console.log(`✓ Restored state: ${this.#history.length} choices, ${this.#playerState.activeFlags.size} flags`);
-    } catch (e) {
-      console.warn('Failed to restore state from localStorage:', e);
     }
+    
+    this.#baseline = baseline;
+    this.#rebuild([]);
+    this.#saveState();
   }
 
-  resetState() {
-    this.#playerState = {
-      trust: 0,
-      guard: 0,
-      honesty: 0,
-      vulnerability: 0,
-      activeFlags: new Set(),
-      memories: [],
-      arcFlags: new Set()
+  // ═══════════════════════════════════════════════════════════════════
+  // PERSISTENCE
+  // ═══════════════════════════════════════════════════════════════════
+
+  #serialize() {
+    return {
+      ...snapshotState(this.#playerState),
+      history: this.#history,
+      log: this.#effectLog,
+      baseline: this.#baseline,
+      seeds: { ...this.#seeds }
     };
-    this.#history = [];
-    localStorage.removeItem(DECISION_KEY);
+  }
+
+  #saveState() {
+    const slot = this.#slots[this.#activeSlot];
+    slot.run = this.#serialize();
+    slot.meta.updatedAt = Date.now();
+    this.#writeSlots();
+  }
+
+  #writeSlots() {
+    decisionStore.write({ activeSlot: this.#activeSlot, slots: this.#slots });
+  }
+
+  #restoreState() {
+    const saved = decisionStore.read();
+    if (!saved) {
+      // Fresh start: declared stats at their defaults
+      this.#loadRun(null);
+      return;
+    }
+    
+    this.#slots = saved.slots;
+    this.#activeSlot = saved.activeSlot;
+    this.#loadRun(this.#slots[this.#activeSlot].run);
+    
+    console.log(`✓ Restored slot "${this.#activeSlot}": ${this.#history.length} choices, ${this.#playerState.flags.size} flags`);
+  }
+
+  #loadRun(run) {
+    this.#playerState = createState(run, this.#graph.stats);
+    this.#history = run ? [...run.history] : [];
+    this.#baseline = run?.baseline || null;
+    this.#seeds = isPlainObject(run?.seeds) ? { ...run.seeds } : {};
+    
+    // Saves from before the effect log existed get one rebuilt from history
+    this.#effectLog = Array.isArray(run?.log)
+      ? [...run.log]
+      : replay(this.#history, this.#graph, { baseline: this.#baseline }).log;
+  }
+
+  /**
+   * Wipe the active slot's run. Other slots are left alone.
+   */
+  resetState() {
+    this.#loadRun(null);
+    Object.assign(this.#slots[this.#activeSlot].meta, { lastTape: null, phase: null, soil: null });
+    this.#saveState();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // SAVE SLOTS
+  // ═══════════════════════════════════════════════════════════════════
+
+  get activeSlotId() {
+    return this.#activeSlot;
+  }
+
+  /**
+   * Metadata for every slot, most recently played first
+   */
+  listSlots() {
+    return Object.values(this.#slots)
+      .map(slot => ({ ...slot.meta, active: slot.meta.id === this.#activeSlot }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  getActiveSlot() {
+    return { ...this.#slots[this.#activeSlot].meta, active: true };
+  }
+
+  hasSlot(slotId) {
+    return Object.hasOwn(this.#slots, slotId);
+  }
+
+  /**
+   * Start a fresh run in a new slot and make it active
+   */
+  createSlot(name = null) {
+    const id = this.#nextSlotId();
+    this.#slots[id] = { meta: createSlotMeta(id, name || `Run ${Object.keys(this.#slots).length + 1}`), run: null };
+    return this.switchSlot(id);
+  }
+
+  /**
+   * Copy a slot's run (the active one by default) into a new, inactive slot
+   */
+  duplicateSlot(slotId = this.#activeSlot, name = null) {
+    const source = this.#requireSlot(slotId);
+    if (slotId === this.#activeSlot) source.run = this.#serialize();
+    
+    const id = this.#nextSlotId();
+    const now = Date.now();
+    const meta = { ...source.meta, id, name: name || `${source.meta.name} (copy)`, createdAt: now, updatedAt: now };
+    
+    this.#slots[id] = { meta, run: structuredClone(source.run) };
+    this.#writeSlots();
+    return { ...meta, active: false };
+  }
+
+  switchSlot(slotId) {
+    const target = this.#requireSlot(slotId);
+    this.#slots[this.#activeSlot].run = this.#serialize();
+    
+    this.#activeSlot = slotId;
+    this.#loadRun(target.run);
+    this.#writeSlots();
+    return this.getActiveSlot();
+  }
+
+  /**
+   * Delete a slot. Deleting the active slot switches to the most recently
+   * played of the rest; the last remaining slot can't be deleted.
+   */
+  deleteSlot(slotId) {
+    this.#requireSlot(slotId);
+    if (Object.keys(this.#slots).length === 1) {
+      throw new Error(`Cannot delete the only save slot: ${slotId}`);
+    }
+    
+    if (slotId === this.#activeSlot) {
+      const next = this.listSlots().find(s => s.id !== slotId);
+      this.switchSlot(next.id);
+    }
+    delete this.#slots[slotId];
+    this.#writeSlots();
+    return true;
+  }
+
+  /**
+   * Merge metadata (name, lastTape, phase, soil, difficulty) into the active slot
+   */
+  updateSlotMeta(patch = {}) {
+    if (patch.difficulty !== undefined && !isDifficulty(patch.difficulty)) {
+      throw new Error(`Unknown difficulty: ${patch.difficulty}`);
+    }
+    
+    const meta = this.#slots[this.#activeSlot].meta;
+    for (const key of ['name', 'lastTape', 'phase', 'soil', 'difficulty']) {
+      if (patch[key] !== undefined) meta[key] = patch[key];
+    }
+    this.#saveState();
+    return this.getActiveSlot();
+  }
+
+  #requireSlot(slotId) {
+    if (!this.hasSlot(slotId)) {
+      throw new Error(`Unknown save slot: ${slotId}`);
+    }
+    return this.#slots[slotId];
+  }
+
+  #nextSlotId() {
+    let id;
+    do {
+      id = `slot_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+    } while (this.hasSlot(id));
+    return id;
   }
 
   // ═══════════════════════════════════════════════════════════════════
   // DEBUG UTILITIES
   // ═══════════════════════════════════════════════════════════════════
 
+  /**
+   * Export every slot as a versioned save envelope; importState() accepts
+   * it back, along with older single-run and unversioned dumps.
+   */
   exportState() {
-    return JSON.stringify(this.getState(), null, 2);
+    this.#slots[this.#activeSlot].run = this.#serialize();
+    return JSON.stringify(decisionStore.wrap({ activeSlot: this.#activeSlot, slots: this.#slots }), null, 2);
   }
 
-  importState(jsonString) {
+  /**
+   * Import a save. Every slot is replayed against the current decision
+   * graph first; a save whose state or effect log doesn't match its own
+   * history is rejected unless `verify` is false.
+   */
+  importState(jsonString, { verify = true } = {}) {
     try {
-      const state = JSON.parse(jsonString);
-      localStorage.setItem(DECISION_KEY, JSON.stringify(state));
+      const { data } = decisionStore.upgrade(JSON.parse(jsonString));
+      
+      if (verify) {
+        const problems = this.#verifySlots(data.slots);
+        if (problems.length > 0) {
+          console.error('Imported save does not match the decision graph:', problems);
+          return false;
+        }
+      }
+      
+      decisionStore.write(data);
       this.#restoreState();
       return true;
     } catch (e) {
@@ -459,24 +1016,34 @@ class DecisionEngine {
     }
   }
 
+  /**
+   * Replay the active run and report anything its saved state or effect
+   * log can't account for. Empty means consistent.
+   */
+  verifyState() {
+    return verifyRun(this.#serialize(), this.#graph);
+  }
+
+  #verifySlots(slots) {
+    return Object.entries(slots).flatMap(([slotId, slot]) =>
+      slot.run ? verifyRun(slot.run, this.#graph).map(problem => `${slotId}: ${problem}`) : []);
+  }
+
   printGraph() {
     console.group('Decision Graph');
     console.log(`Decisions: ${this.#decisions.size}`);
     console.log(`Effects: ${this.#effects.size}`);
     console.log(`Consumer edges: ${this.#consumers.size}`);
+    console.log(`Ghost effects: ${this.detectGhosts().length}`);
+    console.log('Explore it in public/graph.html');
     console.groupEnd();
   }
 
   printState() {
     console.group('Player State');
-    console.log('Stats:', {
-      trust: this.#playerState.trust,
-      guard: this.#playerState.guard,
-      honesty: this.#playerState.honesty,
-      vulnerability: this.#playerState.vulnerability
-    });
-    console.log('Flags:', [...this.#playerState.activeFlags]);
-    console.log('Arcs:', [...this.#playerState.arcFlags]);
+    console.log('Stats:', { ...this.#playerState.stats });
+    console.log('Flags:', [...this.#playerState.flags]);
+    console.log('Arcs:', [...this.#playerState.arcs]);
     console.log('History:', this.#history);
     console.groupEnd();
   }
@@ -485,3 +1052,4 @@ class DecisionEngine {
 // Singleton export
 const engine = new DecisionEngine();
 export default engine;
+export { DEFAULT_SLOT_ID };
@@ -0,0 +1,80 @@
+/**
+ * Difficulty - Story, normal and hard presets for the tapes' action parts
+ *
+ * The level is stored on the save slot (see DecisionEngine), so it follows
+ * the run rather than the browser. Every value is a multiplier on what the
+ * tape or boss data would use at normal:
+ *
+ *   playerHp         the player's HP in a battle
+ *   iFrames          invulnerability after a hit
+ *   speed, density   bullet speed and count (BulletPatterns tuning)
+ *   timing           how long a timed target waits (tape4's minigame)
+ *   moments          how many targets a minigame throws
+ *   determinationMin the stat needed for the second chance (0 = always)
+ *   revive           how much HP the second chance restores
+ *
+ * Choices, flags and endings are never scaled - difficulty changes how a
+ * scene plays, not what it means.
+ *
+ * @version 1.0.0
+ */
+
+const DEFAULT_DIFFICULTY = 'normal';
+
+const DIFFICULTIES = {
+  story: {
+    label: 'STORY',
+    description: 'Gentler fights and longer windows. For the story.',
+    playerHp: 1.5,
+    iFrames: 2,
+    speed: 0.75,
+    density: 0.6,
+    timing: 1.6,
+    moments: 0.7,
+    determinationMin: 0,
+    revive: 1.75
+  },
+  normal: {
+    label: 'NORMAL',
+    description: 'As it was made.',
+    playerHp: 1,
+    iFrames: 1,
+    speed: 1,
+    density: 1,
+    timing: 1,
+    moments: 1,
+    determinationMin: 1,
+    revive: 1
+  },
+  hard: {
+    label: 'HARD',
+    description: 'Faster thorns, tighter windows, a harder second chance.',
+    playerHp: 0.8,
+    iFrames: 0.75,
+    speed: 1.2,
+    density: 1.3,
+    timing: 0.7,
+    moments: 1.3,
+    determinationMin: 1.5,
+    revive: 0.5
+  }
+};
+
+function isDifficulty(id) {
+  return Object.hasOwn(DIFFICULTIES, id);
+}
+
+/**
+ * A level's settings with its id; unknown ids fall back to normal
+ */
+function getDifficulty(id) {
+  const key = isDifficulty(id) ? id : DEFAULT_DIFFICULTY;
+  return { id: key, ...DIFFICULTIES[key] };
+}
+
+function listDifficulties() {
+  return Object.keys(DIFFICULTIES).map(getDifficulty);
+}
+
+export default getDifficulty;
+export { getDifficulty, listDifficulties, isDifficulty, DIFFICULTIES, DEFAULT_DIFFICULTY };
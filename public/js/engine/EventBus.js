@@ -0,0 +1,69 @@
+/**
+ * EventBus - Minimal synchronous publish/subscribe
+ *
+ *   const bus = new EventBus();
+ *   const off = bus.on('stat', event => meter(event.stat, event.after));
+ *   bus.on('*', event => console.log(event.type, event));   // every event
+ *   bus.emit('stat', { stat: 'trust', before: 2, after: 3 });
+ *   off();
+ *
+ * Handlers get one event object with its `type` filled in, after the
+ * state change has happened. A handler that throws is reported and
+ * skipped; the rest still run.
+ *
+ * @version 1.0.0
+ */
+
+const WILDCARD = '*';
+
+class EventBus {
+  #handlers = new Map();   // type → Set of handlers
+
+  /**
+   * Listen for one event type, or every type with '*'.
+   * Returns a function that unsubscribes.
+   */
+  on(type, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`EventBus.on(${type}): handler must be a function`);
+    }
+    if (!this.#handlers.has(type)) this.#handlers.set(type, new Set());
+    this.#handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Like on(), but only for the next event
+   */
+  once(type, handler) {
+    const off = this.on(type, event => {
+      off();
+      handler(event);
+    });
+    return off;
+  }
+
+  off(type, handler) {
+    this.#handlers.get(type)?.delete(handler);
+  }
+
+  emit(type, details = {}) {
+    const event = { ...details, type };
+    // Copy first: handlers may unsubscribe while we go
+    const handlers = [...(this.#handlers.get(type) || []), ...(this.#handlers.get(WILDCARD) || [])];
+    for (const handler of handlers) {
+      try {
+        handler(event);
+      } catch (e) {
+        console.error(`Event handler for "${type}" failed:`, e);
+      }
+    }
+  }
+
+  clear() {
+    this.#handlers.clear();
+  }
+}
+
+export default EventBus;
+export { WILDCARD };
@@ -0,0 +1,93 @@
+/**
+ * Gallery - Endings and achievements the player has ever reached
+ *
+ * Kept apart from the save slots on purpose: resetting or deleting a run
+ * doesn't take its discoveries with it. Two kinds of entry:
+ *
+ *   endings:      'tape3:mercy'        a tape-local ending (tapes.json `endings`)
+ *                 'ending_rich_bloom'  a run ending (decisions.json `endings`)
+ *   achievements: 'sunrise_together'   a relationship milestone
+ *
+ * Endings are stored as { first, last, count }, achievements as { first }
+ * (timestamps in ms). GameEngine decides when to record and joins the
+ * records with the catalogue (GameEngine.getGallery).
+ *
+ * @version 1.0.0
+ */
+
+import SaveStore, { isPlainObject } from './SaveStore.js';
+
+const GALLERY_KEY = 'seed_archive_gallery';
+
+const galleryStore = new SaveStore(GALLERY_KEY, {
+  validate: data => isPlainObject(data) && isPlainObject(data.endings) && isPlainObject(data.achievements)
+});
+
+class Gallery {
+  #records = null;
+
+  /**
+   * Record an ending. Returns true the first time it is reached.
+   */
+  recordEnding(key) {
+    const records = this.#load();
+    const now = Date.now();
+    const existing = records.endings[key];
+
+    if (existing) {
+      existing.last = now;
+      existing.count++;
+    } else {
+      records.endings[key] = { first: now, last: now, count: 1 };
+    }
+    galleryStore.write(records);
+    return !existing;
+  }
+
+  /**
+   * Record achievements; returns the ids unlocked for the first time.
+   * Called on every state change, so ids already held are left alone.
+   */
+  recordAchievements(ids) {
+    const records = this.#load();
+    const unlocked = ids.filter(id => !(id in records.achievements));
+    if (unlocked.length === 0) return unlocked;
+
+    const now = Date.now();
+    for (const id of unlocked) records.achievements[id] = { first: now };
+    galleryStore.write(records);
+    return unlocked;
+  }
+
+  hasEnding(key) {
+    return key in this.#load().endings;
+  }
+
+  hasAchievement(id) {
+    return id in this.#load().achievements;
+  }
+
+  /**
+   * { endings: { key: record }, achievements: { id: record } } (a copy)
+   */
+  getRecords() {
+    return structuredClone(this.#load());
+  }
+
+  /**
+   * Forget every discovery. Not part of GameEngine.resetAll().
+   */
+  clear() {
+    this.#records = { endings: {}, achievements: {} };
+    galleryStore.clear();
+  }
+
+  #load() {
+    this.#records ??= galleryStore.read() || { endings: {}, achievements: {} };
+    return this.#records;
+  }
+}
+
+// Singleton export
+const gallery = new Gallery();
+export default gallery;
@@ -3,13 +3,13 @@
  * 
  * This provides a simple interface that combines:
  * - DecisionEngine (choice tracking, effects, ghost prevention)
- * - RelationshipEngine (tone, callbacks, milestones)
+ * - RelationshipEngine (characters, tone, callbacks, milestones)
  * 
- * Usage in tape HTML files:
+ * Usage in tape HTML files (classic scripts load it with a dynamic import):
  * 
- *   import game from '/js/engine/GameEngine.js';
+ *   const game = (await import('./public/js/engine/GameEngine.js')).default;
  *   
- *   await game.initialize();
+ *   await game.initialize('tape1');
  *   
  *   // Make a choice
  *   const result = await game.presentChoice('d_tape1_reply_speed', {
@@ -22,27 +22,111 @@
  *     default: "She messages you...",
  *     intimate: "Her name appears and you smile before you realize..."
  *   });
+ *   
+ *   // Weave state into a line (see Template.js)
+ *   UI.p(game.render("You've played {sharedGames|# game|# games} together."));
+ *   
+ *   // React to changes instead of polling (see on())
+ *   game.on('stat', ({ stat, after }) => meter(stat, after));
  */
 
-import DecisionEngine from './DecisionEngine.js';
+import DecisionEngine, { DEFAULT_SLOT_ID } from './DecisionEngine.js';
 import RelationshipEngine from './RelationshipEngine.js';
+import SaveStore, { isPlainObject, listQuarantinedSaves } from './SaveStore.js';
+import { getDifficulty, listDifficulties } from './Difficulty.js';
+import Random, { randomSeed } from './Random.js';
+import { loadTapes, listTapes, getTape } from './Tapes.js';
+import Gallery from './Gallery.js';
+import EventBus, { WILDCARD } from './EventBus.js';
+import compileTemplate from './Template.js';
+import { TONE_FIELDS } from './Condition.js';
+
+// Resolved against this module so the tapes work wherever the site is served from
+const DATA_URL = new URL('../../data/decisions.json', import.meta.url).href;
+
+// Per-tape completion records read by the rack (index.html), keyed by save
+// slot. Before the shared engine the tapes wrote their whole state here,
+// which is what gets migrated: those records come out of the v1 migration
+// marked `legacy` until the engine has absorbed them.
+const PROGRESS_KEY = 'seed_archive_v3';
+
+const progressStore = new SaveStore(PROGRESS_KEY, {
+  migrations: [
+    {
+      version: 1,
+      description: 'Envelope unversioned tape records',
+      up: data => {
+        if (!isPlainObject(data)) throw new Error('save is not an object');
+        return Object.fromEntries(Object.entries(data)
+          .filter(([, tape]) => isPlainObject(tape))
+          .map(([tapeId, tape]) => [tapeId, { ...tape, legacy: true }]));
+      }
+    },
+    {
+      version: 2,
+      description: 'Key tape records by save slot',
+      up: tapes => ({ [DEFAULT_SLOT_ID]: tapes })
+    }
+  ],
+  validate: data => isPlainObject(data) && Object.values(data).every(isPlainObject)
+});
+
+// What on() can listen for (plus '*' for all of them)
+const EVENT_TYPES = ['choice', 'effect', 'stat', 'flag', 'milestone', 'phase', 'counter', 'ending', 'achievement'];
 
 class GameEngine {
   #initialized = false;
   #currentTape = null;
+  #seed = null;
+  #streams = new Map();   // stream name → Random
+  #pendingReset = null;   // tape to replay from scratch once it changes something
+  #events = new EventBus();
+  #templates = new Map();   // source → compiled template
+  
+  constructor() {
+    RelationshipEngine.onCounterChange(({ type, ...change }) => this.#events.emit('counter', change));
+  }
   
-  async initialize(tapeId = null) {
+  /**
+   * @param {string} [tapeId] - The tape being played; starting it replays it
+   * @param {Object} [options]
+   * @param {string} [options.seed] - Seed for this play's rolls. Defaults to
+   *   the page's `?seed=`, then a fresh one; recorded in the save.
+   */
+  async initialize(tapeId = null, { seed = null } = {}) {
     if (this.#initialized) return this;
     
-    // Load decision graph
-    await DecisionEngine.load('/data/decisions.json');
+    // Load decision graph and tape manifest; conditions can ask about the
+    // relationship phase and the endings tapes have recorded
+    DecisionEngine.setPhaseSource(() => RelationshipEngine.getPhase(), () => RelationshipEngine.listPhases());
+    DecisionEngine.setEndingSource(endingId => this.hasReachedEnding(endingId));
+    DecisionEngine.setToneSource(() => RelationshipEngine.getTone());
+    await Promise.all([
+      DecisionEngine.load(DATA_URL),
+      loadTapes().catch(e => console.error('Tape manifest failed to load:', e))
+    ]);
+    
+    // Carry over progress from saves made before the shared engine
+    this.#migrateLegacySave();
+    
+    // Starting a tape replays it, but only forget its previous choices once
+    // it makes a new one: opening the page (or reloading after an import)
+    // shouldn't wipe anything
+    this.#pendingReset = tapeId;
     
     // Initialize relationship state
     await RelationshipEngine.initialize();
+    this.#recordAchievements();
     
     this.#currentTape = tapeId;
     this.#initialized = true;
     
+    this.#seed = String(seed ?? seedFromUrl() ?? randomSeed());
+    this.#streams.clear();
+    if (tapeId) DecisionEngine.setSeed(tapeId, this.#seed);
+    
+    if (tapeId) this.#touchSlot();
+    
     console.log('✓ GameEngine initialized');
     return this;
   }
@@ -59,14 +143,76 @@ class GameEngine {
       console.warn('GameEngine not initialized. Call initialize() first.');
     }
     
+    this.#startTape();
+    const before = this.#snapshot();
     const result = DecisionEngine.makeChoice(decisionId, optionId);
     
+    // The choice goes out before what it caused (counters, phases, ...)
+    this.#events.emit('choice', { ...DecisionEngine.getHistory().at(-1), effects: result.effects });
+    
     // Sync relationship state after choice
     RelationshipEngine.initialize();
-    
+    this.#touchSlot();
+    this.#settle(before);
     return result;
   }
   
+  /**
+   * Options for a decision, each with `available` and, when locked, a
+   * `lockedReason` the tape can show on the greyed-out choice
+   */
+  getAvailableOptions(decisionId) {
+    return DecisionEngine.getAvailableOptions(decisionId);
+  }
+  
+  /**
+   * Take back the most recent choice; returns it, or null if there was none
+   */
+  undoLastChoice() {
+    const before = this.#snapshot();
+    const undone = DecisionEngine.undoLastChoice();
+    if (undone) this.#afterRewind(before);
+    return undone;
+  }
+  
+  /**
+   * Go back to just before history[historyIndex] was chosen
+   */
+  rewindTo(historyIndex) {
+    const before = this.#snapshot();
+    const dropped = DecisionEngine.rewindTo(historyIndex);
+    this.#afterRewind(before);
+    return dropped;
+  }
+  
+  /**
+   * Rewind to just before a tape's first choice (the current tape by default)
+   */
+  rewindTape(tapeId = null) {
+    const id = tapeId || this.#currentTape;
+    const index = DecisionEngine.getHistory().findIndex(h => h.tape === id);
+    return index === -1 ? [] : this.rewindTo(index);
+  }
+  
+  /**
+   * The tape's first change since it was opened: drop what its last play
+   * chose, so the replay starts clean
+   */
+  #startTape() {
+    if (!this.#pendingReset) return;
+    
+    const before = this.#snapshot();
+    const tapeId = this.#pendingReset;
+    this.#pendingReset = null;
+    if (DecisionEngine.resetTape(tapeId)) this.#afterRewind(before);
+  }
+  
+  #afterRewind(before) {
+    RelationshipEngine.rebuild();
+    this.#touchSlot();
+    this.#settle(before);
+  }
+  
   /**
    * Check if a choice was already made
    */
@@ -89,19 +235,59 @@ class GameEngine {
   // STATE QUERIES
   // ═══════════════════════════════════════════════════════════════════
   
+  /**
+   * Every stat declared in decisions.json, by name
+   */
   getStats() {
-    return {
-      trust: DecisionEngine.getStat('trust'),
-      guard: DecisionEngine.getStat('guard'),
-      honesty: DecisionEngine.getStat('honesty'),
-      vulnerability: DecisionEngine.getStat('vulnerability')
-    };
+    return DecisionEngine.getStats();
+  }
+  
+  /**
+   * Stat declarations (bounds, defaults, decay) from decisions.json
+   */
+  getStatDefinitions() {
+    return DecisionEngine.getStatDefinitions();
+  }
+  
+  /**
+   * Change a stat outside a decision (minigame results and the like).
+   * Recorded against the current tape, so replaying the tape undoes it.
+   */
+  adjustStat(statName, delta, reason = null) {
+    this.#startTape();
+    const before = this.#snapshot();
+    const change = DecisionEngine.adjustStat(statName, delta, { tape: this.#currentTape, reason });
+    RelationshipEngine.initialize();
+    this.#touchSlot();
+    this.#settle(before);
+    return change;
+  }
+  
+  /**
+   * Set or clear a flag, memory or arc by hand (the debug overlay).
+   * Recorded against the current tape like adjustStat.
+   */
+  setEffect(effectId, active = true, reason = 'debug') {
+    this.#startTape();
+    const before = this.#snapshot();
+    const change = DecisionEngine.setEffect(effectId, active, { tape: this.#currentTape, reason });
+    RelationshipEngine.initialize();
+    this.#touchSlot();
+    this.#settle(before);
+    return change;
   }
   
   hasFlag(flagId) {
     return DecisionEngine.hasFlag(flagId);
   }
   
+  /**
+   * Check an effect regardless of type (flag, memory or arc)
+   */
+  has(effectId) {
+    return DecisionEngine.hasEffect(effectId);
+  }
+  
   hasAnyFlag(...flagIds) {
     return DecisionEngine.hasAnyFlag(...flagIds);
   }
@@ -110,6 +296,35 @@ class GameEngine {
     return DecisionEngine.getHistory();
   }
   
+  getSoil() {
+    if (this.has('e_soil_rich')) return 'rich';
+    if (this.has('e_soil_rocky')) return 'rocky';
+    if (this.has('e_soil_barren')) return 'barren';
+    return null;
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════
+  // RANDOMNESS
+  // ═══════════════════════════════════════════════════════════════════
+  
+  /**
+   * A named, seeded stream for gameplay rolls (see Random.js), e.g.
+   * game.random('battle').pick(attacks). The same name gives the same stream.
+   */
+  random(stream = 'default') {
+    if (!this.#streams.has(stream)) {
+      this.#streams.set(stream, new Random(this.#seed ?? randomSeed()).fork(stream));
+    }
+    return this.#streams.get(stream);
+  }
+  
+  /**
+   * The seed this play is using, or the one a tape last used
+   */
+  getSeed(tapeId = null) {
+    return tapeId && tapeId !== this.#currentTape ? DecisionEngine.getSeed(tapeId) : this.#seed;
+  }
+  
   // ═══════════════════════════════════════════════════════════════════
   // NARRATIVE VARIANTS
   // ═══════════════════════════════════════════════════════════════════
@@ -117,36 +332,27 @@ class GameEngine {
   /**
    * Get a narrative variant based on player state
    * variants = { default: "...", [condition]: "..." }
+   *
+   * Keys are conditions (see Condition.js), checked in order:
+   *   { 'trust >= 10 and e_replied_fast': "...", 'phase >= close': "...", default: "..." }
+   * The older `<stat>_N` threshold keys (`trust_10`) still work. The text
+   * picked is rendered as a template, with `vars` (see render()).
    */
-  getVariant(variants) {
-    // Check for trust-based variants
-    const trust = DecisionEngine.getStat('trust');
-    const guard = DecisionEngine.getStat('guard');
-    
-    // Priority: flag conditions → trust level → default
+  getVariant(variants, vars = {}) {
+    const text = this.#pickVariant(variants);
+    return typeof text === 'string' ? this.render(text, vars) : text;
+  }
+  
+  #pickVariant(variants) {
+    const stats = DecisionEngine.getStats();
     for (const [key, text] of Object.entries(variants)) {
       if (key === 'default') continue;
       
-      // Check if key is a flag requirement
-      if (this.hasFlag(key) || this.hasAnyFlag(key)) {
+      const threshold = /^(\w+)_(\d+)$/.exec(key);
+      const isThreshold = threshold && Object.hasOwn(stats, threshold[1]);
+      if (DecisionEngine.evaluate(isThreshold ? `${threshold[1]} >= ${threshold[2]}` : key)) {
         return text;
       }
-      
-      // Check if key is a trust threshold
-      if (key.startsWith('trust_')) {
-        const threshold = parseInt(key.split('_')[1]);
-        if (!isNaN(threshold) && trust >= threshold) {
-          return text;
-        }
-      }
-      
-      // Check if key is a guard threshold
-      if (key.startsWith('guard_')) {
-        const threshold = parseInt(key.split('_')[1]);
-        if (!isNaN(threshold) && guard >= threshold) {
-          return text;
-        }
-      }
     }
     
     // Check relationship phase
@@ -158,6 +364,43 @@ class GameEngine {
     return variants.default || Object.values(variants)[0];
   }
   
+  /**
+   * Render a dialogue template (see Template.js) against the current
+   * state. Variables are looked up in `vars`, then stats, counters,
+   * `phase` and Minji's tone (`warmth`, `openness`, `playfulness`).
+   * Values are HTML-escaped, so the result can go straight to UI.p.
+   *
+   *   game.render('{if tone(warmth, high)}She beams.{else}She nods.{/if}')
+   */
+  render(template, vars = {}) {
+    const tone = RelationshipEngine.getTone() || {};
+    const counters = RelationshipEngine.getCounters();
+    const stats = DecisionEngine.getStats();
+    
+    return this.#template(template)({
+      value: name => {
+        if (Object.hasOwn(vars, name)) return vars[name];
+        if (Object.hasOwn(stats, name)) return stats[name];
+        if (Object.hasOwn(counters, name)) return counters[name];
+        if (name === 'phase') return this.getPhase();
+        return TONE_FIELDS.includes(name) ? tone[name] : undefined;
+      },
+      evaluate: expression => DecisionEngine.evaluate(expression)
+    });
+  }
+  
+  #template(source) {
+    if (!this.#templates.has(source)) {
+      try {
+        this.#templates.set(source, compileTemplate(source));
+      } catch (e) {
+        console.error(`Bad template, showing it as written: ${e.message}`);
+        this.#templates.set(source, () => source);
+      }
+    }
+    return this.#templates.get(source);
+  }
+  
   /**
    * Get a callback ("remember when...") text
    */
@@ -188,7 +431,7 @@ class GameEngine {
   }
   
   getPhase() {
-    return RelationshipEngine.getRelationshipSummary()?.phase || 'strangers';
+    return RelationshipEngine.getPhase() || 'strangers';
   }
   
   hasMilestone(milestoneId) {
@@ -203,6 +446,42 @@ class GameEngine {
     return RelationshipEngine.getRelationshipSummary();
   }
   
+  /**
+   * A character from relationship.json - Minji without an id. The methods
+   * above are hers; game.character('rival').getPhase() asks about someone else.
+   */
+  character(id) {
+    return RelationshipEngine.character(id);
+  }
+  
+  listCharacters() {
+    return RelationshipEngine.listCharacters();
+  }
+  
+  /**
+   * How many times something has happened this run, e.g.
+   * game.getCounter('lateNightCalls') === 3 for "the third late-night call"
+   * (counters are declared in relationship.json)
+   */
+  getCounter(counter) {
+    return RelationshipEngine.getCounter(counter);
+  }
+  
+  getCounters() {
+    return RelationshipEngine.getCounters();
+  }
+  
+  getCounterEvents(counter) {
+    return RelationshipEngine.getCounterEvents(counter);
+  }
+  
+  /**
+   * Hear about counter changes; returns an unsubscribe function
+   */
+  onCounterChange(listener) {
+    return RelationshipEngine.onCounterChange(listener);
+  }
+  
   // ═══════════════════════════════════════════════════════════════════
   // TAPE-SPECIFIC
   // ═══════════════════════════════════════════════════════════════════
@@ -219,30 +498,433 @@ class GameEngine {
     return DecisionEngine.getPendingDecisions(tapeId || this.#currentTape);
   }
   
+  /**
+   * Mark a tape complete for the archive rack.
+   * `details` carries tape-local results (sync, battle stats, ending...).
+   */
+  completeTape(tapeId = null, details = {}) {
+    const id = tapeId || this.#currentTape;
+    const saved = readProgress();
+    const state = DecisionEngine.getState();
+    
+    saved[id] = {
+      complete: true,
+      seed: this.getSeed(id),
+      ...this.getStats(),
+      soil: this.getSoil() || 'barren',
+      flags: [...state.flags, ...state.memories.map(m => m.id), ...state.arcs],
+      ...details
+    };
+    
+    writeProgress(saved);
+    this.#recordEndings(id, details.ending);
+    this.#touchSlot();
+  }
+  
+  /**
+   * Tape-local results recorded by completeTape()
+   */
+  getTapeProgress(tapeId) {
+    return readProgress()[tapeId] || null;
+  }
+  
+  /**
+   * Endings the active run's played tapes recorded (tapes.json `endings`)
+   */
+  getEndingsReached() {
+    return [...new Set(Object.values(readProgress()).map(tape => tape.ending).filter(Boolean))];
+  }
+  
+  hasReachedEnding(endingId) {
+    return this.getEndingsReached().includes(endingId);
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════
+  // TAPE MANIFEST - public/data/tapes.json (see Tapes.js)
+  // ═══════════════════════════════════════════════════════════════════
+  
+  /**
+   * Every tape in play order, with where the active run stands on it:
+   *   { ...manifest entry, complete, unlocked, missing, status }
+   * `missing` is the required tapes not yet played. `status` is 'played',
+   * 'open', 'needs-previous', 'sealed' (its unlock condition doesn't hold)
+   * or 'locked' (not playable in this build).
+   */
+  getTapes() {
+    return listTapes().map(tape => this.#tapeStatus(tape));
+  }
+  
+  getTape(tapeId) {
+    const tape = getTape(tapeId);
+    return tape ? this.#tapeStatus(tape) : null;
+  }
+  
+  canPlay(tapeId) {
+    const status = this.getTape(tapeId)?.status;
+    return status === 'played' || status === 'open';
+  }
+  
+  #tapeStatus(tape) {
+    const progress = readProgress();
+    const complete = Boolean(progress[tape.id]?.complete);
+    const missing = (tape.requires || []).filter(id => !progress[id]?.complete);
+    const unlocked = missing.length === 0 && DecisionEngine.evaluate(tape.unlock);
+    
+    let status = 'open';
+    if (complete) status = 'played';
+    else if (tape.locked) status = 'locked';
+    else if (missing.length) status = 'needs-previous';
+    else if (!unlocked) status = 'sealed';
+    
+    return { ...tape, complete, unlocked, missing, status };
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════
+  // SAVE SLOTS
+  // ═══════════════════════════════════════════════════════════════════
+  
+  /**
+   * Every slot's metadata: { id, name, createdAt, updatedAt, lastTape,
+   * phase, soil, active }, most recently played first
+   */
+  listSlots() {
+    return DecisionEngine.listSlots();
+  }
+  
+  getActiveSlot() {
+    return DecisionEngine.getActiveSlot();
+  }
+  
+  createSlot(name = null) {
+    const before = this.#snapshot();
+    const slot = DecisionEngine.createSlot(name);
+    RelationshipEngine.rebuild();
+    this.#settle(before);
+    return slot;
+  }
+  
+  switchSlot(slotId) {
+    const before = this.#snapshot();
+    const slot = DecisionEngine.switchSlot(slotId);
+    RelationshipEngine.rebuild();
+    this.#settle(before);
+    return slot;
+  }
+  
+  /**
+   * Copy a run, tape records included, into a new slot
+   */
+  duplicateSlot(slotId = null, name = null) {
+    const sourceId = slotId || DecisionEngine.activeSlotId;
+    const slot = DecisionEngine.duplicateSlot(sourceId, name);
+    
+    const all = progressStore.read() || {};
+    if (all[sourceId]) {
+      all[slot.id] = structuredClone(all[sourceId]);
+      progressStore.write(all);
+    }
+    return slot;
+  }
+  
+  deleteSlot(slotId) {
+    const before = this.#snapshot();
+    const wasActive = slotId === DecisionEngine.activeSlotId;
+    DecisionEngine.deleteSlot(slotId);
+    
+    const all = progressStore.read() || {};
+    delete all[slotId];
+    progressStore.write(all);
+    
+    if (wasActive) {
+      RelationshipEngine.rebuild();
+      this.#settle(before);
+    }
+    return true;
+  }
+  
+  /**
+   * The active slot's difficulty settings (see Difficulty.js)
+   */
+  getDifficulty() {
+    return getDifficulty(DecisionEngine.getActiveSlot().difficulty);
+  }
+  
+  /**
+   * Change the active slot's difficulty: 'story' | 'normal' | 'hard'
+   */
+  setDifficulty(level) {
+    DecisionEngine.updateSlotMeta({ difficulty: level });
+    return this.getDifficulty();
+  }
+  
+  listDifficulties() {
+    return listDifficulties();
+  }
+  
+  #touchSlot() {
+    DecisionEngine.updateSlotMeta({
+      lastTape: this.#currentTape || undefined,
+      phase: this.getPhase(),
+      soil: this.getSoil()
+    });
+  }
+  
   // ═══════════════════════════════════════════════════════════════════
   // ENDINGS
   // ═══════════════════════════════════════════════════════════════════
   
+  /**
+   * Ending for the current run; defaults to the endings in decisions.json
+   */
   getEnding(endings) {
     return DecisionEngine.determineEnding(endings);
   }
   
+  // ═══════════════════════════════════════════════════════════════════
+  // GALLERY - Endings and achievements across every run (see Gallery.js)
+  // ═══════════════════════════════════════════════════════════════════
+  
+  /**
+   * Everything the gallery can show, discovered or not:
+   *   endings:      [{ key, tape, id, title, hint, discovered, first, count }]
+   *   achievements: [{ id, title, hint, discovered, first }]
+   * Tape endings come first in tape order, then the run endings from
+   * decisions.json. Resetting a run doesn't clear any of it.
+   */
+  getGallery() {
+    const { endings: reached, achievements: unlocked } = Gallery.getRecords();
+    
+    const catalogue = [
+      ...listTapes().flatMap(tape => (tape.endings || []).map(ending => ({
+        key: `${tape.id}:${ending.id}`, tape: tape.id, ...ending
+      }))),
+      ...Object.entries(DecisionEngine.getEndingDefinitions()).map(([id, ending]) => ({
+        key: id, tape: null, id, title: ending.title || ending.description, hint: ending.hint || ''
+      }))
+    ];
+    
+    return {
+      endings: catalogue.map(ending => ({
+        ...ending,
+        discovered: ending.key in reached,
+        first: reached[ending.key]?.first ?? null,
+        count: reached[ending.key]?.count ?? 0
+      })),
+      achievements: RelationshipEngine.listMilestones().map(({ id, description, hint }) => ({
+        id,
+        title: description,
+        hint,
+        discovered: id in unlocked,
+        first: unlocked[id]?.first ?? null
+      }))
+    };
+  }
+  
+  /**
+   * A tape's own ending, and the run's ending once its finale is played
+   */
+  #recordEndings(tapeId, ending) {
+    const tape = getTape(tapeId);
+    if (ending) {
+      const key = `${tapeId}:${ending}`;
+      const title = tape?.endings?.find(e => e.id === ending)?.title ?? null;
+      this.#events.emit('ending', { tape: tapeId, ending, key, title, first: Gallery.recordEnding(key) });
+    }
+    if (tape?.finale) {
+      const runEnding = DecisionEngine.determineEnding();
+      if (runEnding.id !== 'default') {
+        const first = Gallery.recordEnding(runEnding.id);
+        this.#events.emit('ending', { tape: null, ending: runEnding.id, key: runEnding.id, title: runEnding.title ?? null, first });
+      }
+    }
+  }
+  
+  #recordAchievements() {
+    const milestones = RelationshipEngine.getMilestones();
+    for (const id of Gallery.recordAchievements(milestones.map(milestone => milestone.id))) {
+      this.#events.emit('achievement', { id, title: milestones.find(m => m.id === id).description });
+    }
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════
+  // EVENTS
+  // ═══════════════════════════════════════════════════════════════════
+  
+  /**
+   * Call `handler(event)` whenever something changes; returns a function
+   * that unsubscribes. Every event has its `type`, plus:
+   *   'choice'      the history entry ({ decisionId, optionId, tape, ... }) and `effects`
+   *   'effect'      an effect log entry (see Replay.js), one per effect applied
+   *   'stat'        { stat, before, after, delta }
+   *   'flag'        { effectId, kind, active }   flags, memories and arcs
+   *   'milestone'   { character, id, description, reached }
+   *   'phase'       { character, phase, previous }
+   *   'counter'     { counter, count, previous, event }   (see RelationshipEngine)
+   *   'ending'      { tape, ending, key, title, first }   tape null for the run's ending
+   *   'achievement' { id, title }                         first time ever (the gallery)
+   *   '*'           every one of the above
+   * Handlers run once the change is made, so they can read the engine.
+   * A 'choice' comes before every event it causes; the relationship
+   * (phase, counters) catches up after its handlers have run.
+   * Rewinds and slot switches report what they undid (`active: false`...).
+   */
+  on(type, handler) {
+    return this.#events.on(checkEventType(type), handler);
+  }
+  
+  once(type, handler) {
+    return this.#events.once(checkEventType(type), handler);
+  }
+  
+  off(type, handler) {
+    this.#events.off(type, handler);
+  }
+  
+  /**
+   * What #settle() compares to report a change
+   */
+  #snapshot() {
+    const state = DecisionEngine.getState();
+    return {
+      log: DecisionEngine.getEffectLog().length,
+      stats: DecisionEngine.getStats(),
+      effects: activeEffects(state),
+      characters: new Map(RelationshipEngine.listCharacters().map(({ id, phase }) => [id, {
+        phase,
+        milestones: RelationshipEngine.character(id).getMilestones().map(milestone => milestone.id)
+      }]))
+    };
+  }
+  
+  /**
+   * After a change: emit what it did, then bank any new achievements
+   */
+  #settle(before) {
+    const after = this.#snapshot();
+    const emit = (type, details) => this.#events.emit(type, details);
+    
+    // A rewind shortens the log; only appended entries are new effects
+    if (after.log > before.log) {
+      DecisionEngine.getEffectLog().slice(before.log).forEach(entry => emit('effect', entry));
+    }
+    
+    for (const [stat, value] of Object.entries(after.stats)) {
+      const previous = before.stats[stat] ?? null;
+      if (value !== previous) emit('stat', { stat, before: previous, after: value, delta: value - (previous ?? 0) });
+    }
+    
+    for (const [effectId, kind] of after.effects) {
+      if (!before.effects.has(effectId)) emit('flag', { effectId, kind, active: true });
+    }
+    for (const [effectId, kind] of before.effects) {
+      if (!after.effects.has(effectId)) emit('flag', { effectId, kind, active: false });
+    }
+    
+    for (const [character, { phase, milestones }] of after.characters) {
+      const previous = before.characters.get(character) ?? { phase: null, milestones: [] };
+      if (phase !== previous.phase) emit('phase', { character, phase, previous: previous.phase });
+      
+      for (const { id, description } of RelationshipEngine.character(character).listMilestones()) {
+        const was = previous.milestones.includes(id);
+        const is = milestones.includes(id);
+        if (was !== is) emit('milestone', { character, id, description, reached: is });
+      }
+    }
+    
+    this.#recordAchievements();
+  }
+  
+  /**
+   * Evaluate a condition expression, e.g. game.check('phase >= close and e_said_yes').
+   * `stat` optionally overrides how stat names are read.
+   */
+  check(expression, stat = null) {
+    return DecisionEngine.evaluate(expression, stat);
+  }
+  
+  isConsumerActive(consumerId) {
+    return DecisionEngine.isConsumerActive(consumerId);
+  }
+  
   // ═══════════════════════════════════════════════════════════════════
   // PERSISTENCE
   // ═══════════════════════════════════════════════════════════════════
   
+  /**
+   * Wipe the active slot (run and tape records); other slots are kept
+   */
   resetAll() {
     DecisionEngine.resetState();
+    writeProgress({});
     RelationshipEngine.reset();
     this.#initialized = false;
   }
   
+  /**
+   * Every slot's run (DecisionEngine's envelope) plus, under `progress`,
+   * the slots' tape records, so an imported run keeps its rack
+   */
   exportState() {
-    return DecisionEngine.exportState();
+    const save = JSON.parse(DecisionEngine.exportState());
+    save.progress = progressStore.wrap(progressStore.read() || {});
+    return JSON.stringify(save, null, 2);
   }
   
+  /**
+   * Import a save from exportState(). Older exports without tape records
+   * leave the current ones in place.
+   */
   importState(jsonString) {
-    return DecisionEngine.importState(jsonString);
+    let progress = null;
+    try {
+      const save = JSON.parse(jsonString);
+      if (save?.progress) progress = progressStore.upgrade(save.progress).data;
+    } catch (e) {
+      console.error('Failed to import tape records:', e);
+      return false;
+    }
+    
+    const before = this.#snapshot();
+    if (!DecisionEngine.importState(jsonString)) return false;
+    if (progress) progressStore.write(progress);
+    RelationshipEngine.rebuild();
+    this.#settle(before);
+    return true;
+  }
+  
+  /**
+   * Saves that failed to load and were set aside instead of deleted
+   */
+  getQuarantinedSaves() {
+    return listQuarantinedSaves();
+  }
+  
+  /**
+   * Seed the engine from the tape records saved before it existed (the
+   * ones marked `legacy`), once. Records the engine writes itself never
+   * count, and a run already under way wins over them.
+   */
+  #migrateLegacySave() {
+    const progress = readProgress();
+    const tapes = Object.values(progress).filter(tape => tape.legacy);
+    if (tapes.length === 0) return;
+    
+    // Absorbed or superseded either way: don't look at them again
+    writeProgress(Object.fromEntries(Object.entries(progress).map(([tapeId, { legacy, ...tape }]) => [tapeId, tape])));
+    
+    const state = DecisionEngine.getState();
+    if (state.history.length || state.flags.length || state.memories.length || state.arcs.length) {
+      return;
+    }
+    
+    // Later tapes carried stats forward with Math.max, so do the same
+    const stats = Object.keys(DecisionEngine.getStats()).filter(stat => tapes.some(t => stat in t));
+    DecisionEngine.restoreLegacyState({
+      stats: Object.fromEntries(stats.map(stat => [stat, Math.max(...tapes.map(t => Number(t[stat]) || 0))])),
+      effects: tapes.flatMap(t => t.flags || [])
+    });
+    
+    console.log(`✓ Migrated ${PROGRESS_KEY} into the engine (${tapes.length} tapes)`);
   }
   
   // ═══════════════════════════════════════════════════════════════════
@@ -253,6 +935,68 @@ class GameEngine {
     DecisionEngine.printState();
     RelationshipEngine.printState();
   }
+  
+  /**
+   * Reload the current tape with a seed (this play's by default) so its
+   * rolls come out the same again
+   */
+  replayWithSeed(seed = this.#seed) {
+    const url = new URL(location.href);
+    url.searchParams.set('seed', seed);
+    location.href = url.href;
+  }
+
+  /**
+   * This play of a tape as a session scripts/playthrough.mjs can replay:
+   *   { tape, seed, difficulty, choices: [{ decision, option }] }
+   * Copy it from the console with copy(game.getSession()).
+   */
+  getSession(tapeId = null) {
+    const tape = tapeId || this.#currentTape;
+    return {
+      tape,
+      seed: this.getSeed(tape),
+      difficulty: this.getDifficulty().id,
+      choices: DecisionEngine.getHistory()
+        .filter(entry => entry.tape === tape && !entry.kind)
+        .map(entry => ({ decision: entry.decisionId, option: entry.optionId }))
+    };
+  }
+}
+
+// `?seed=` on the page URL, for replaying a reported run
+function seedFromUrl() {
+  if (typeof location === 'undefined') return null;
+  return new URLSearchParams(location.search).get('seed') || null;
+}
+
+function checkEventType(type) {
+  if (type !== WILDCARD && !EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event "${type}" (expected one of ${EVENT_TYPES.join(', ')} or ${WILDCARD})`);
+  }
+  return type;
+}
+
+/**
+ * Active flags, memories and arcs: Map<effectId, kind>
+ */
+function activeEffects(state) {
+  return new Map([
+    ...state.flags.map(id => [id, 'flag']),
+    ...state.memories.map(memory => [memory.id, 'memory']),
+    ...state.arcs.map(id => [id, 'arc'])
+  ]);
+}
+
+// Tape records for the active slot
+function readProgress() {
+  return (progressStore.read() || {})[DecisionEngine.activeSlotId] || {};
+}
+
+function writeProgress(tapes) {
+  const all = progressStore.read() || {};
+  all[DecisionEngine.activeSlotId] = tapes;
+  progressStore.write(all);
 }
 
 // Singleton export
@@ -1,21 +1,73 @@
 /**
- * RelationshipEngine - Single-focus relationship dynamics
+ * RelationshipEngine - Relationship dynamics, centred on you + Minji
  * 
- * This engine is designed for ONE central relationship (you + Minji)
- * Unlike multi-character systems, this tracks a deepening connection.
+ * The story has one central relationship, but other presences have arcs
+ * too: the rival, Sheepy, The Wall. Each is a Character (Character.js)
+ * with its own stats, phase ladder, tones and milestones. The default
+ * character is Minji, and the engine's own getTone(), getPhase(),
+ * milestones and dialogue variants are hers; character(id) reaches the rest.
  * 
  * KEY INSIGHT: Depth comes from emotional resonance, not character count.
  * 
+ * What writers tune lives in public/data/relationship.json:
+ * 
+ *   {
+ *     defaultCharacter: characterId
+ *     characters:    { id: character }   (see Character.js)
+ *     counters:      { name: { effects: [effectId], description } }
+ *     callbacks:     { id: { requires: [effectId], text | variants: { effectId: text } } }
+ *     tapeCallbacks: { tapeId: [callbackId] }  what getActiveCallbacks() offers
+ *   }
+ * 
+ * The default character's phases are the ones conditions compare, in
+ * the order listed (listPhases). Tape introductions live with the tapes, in
+ * tapes.json.
+ * 
+ * Counters count events, not state: every history entry (a choice, or an
+ * effect set by hand) that applies one of a counter's effects is one more
+ * - so a tape can tell the third late-night call from the first. They are
+ * recounted from DecisionEngine's effect log on every sync, so rewinds
+ * take them back too; onCounterChange() hears about every change.
+ * 
  * @version 1.0.0
  */
 
 import engine from './DecisionEngine.js';
+import SaveStore, { isPlainObject } from './SaveStore.js';
+import { getTape } from './Tapes.js';
+import EventBus from './EventBus.js';
+import Character, { phaseFor } from './Character.js';
+
+// Resolved against this module so the tapes work wherever the site is served from
+const RELATIONSHIP_URL = new URL('../../data/relationship.json', import.meta.url).href;
 
 const RELATIONSHIP_KEY = 'seed_archive_relationship_v1';
 
+const relationshipStore = new SaveStore(RELATIONSHIP_KEY, {
+  migrations: [
+    {
+      version: 1,
+      description: 'Envelope unversioned saves',
+      up: data => {
+        if (!isPlainObject(data)) throw new Error('save is not an object');
+        return data;
+      }
+    },
+    {
+      version: 2,
+      description: 'Drop the counters, now counted from the history',
+      up: ({ sharedGames, lateNightCalls, jealousMoments, jealousyMoments, vulnerableMoments, ...rest }) => rest
+    }
+  ],
+  validate: isPlainObject
+});
+
 class RelationshipEngine {
   #state;
-  #milestones;
+  #data = null;       // relationship.json
+  #characters = new Map();   // id → Character
+  #counters = null;   // counter name → events, null until the first sync
+  #events = new EventBus();
   
   constructor() {
     // Relationship state - evolves across tapes
@@ -26,46 +78,10 @@ class RelationshipEngine {
       firstVulnerability: null,     // timestamp or null
       biggestTrustMoment: null,     // decision ID
       biggestGuardMoment: null,     // decision ID
-      sharedGames: 0,
-      lateNightCalls: 0,
-      jealousMoments: 0,
-      vulnerableMoments: 0,
       insideJokes: [],
       unsaidThings: [],             // Things that were hidden
       soilType: null                // rich | rocky | barren
     };
-    
-    // Relationship milestones that unlock content
-    this.#milestones = {
-      first_smile_caught: {
-        threshold: { any: ['e_caught_smiling'] },
-        description: 'She caught you smiling'
-      },
-      first_touch: {
-        threshold: { any: ['e_physical_contact'] },
-        description: 'First physical contact'
-      },
-      first_3am: {
-        threshold: { any: ['e_voice_heard_3am', 'e_voice_shared'] },
-        description: 'Shared the night together'
-      },
-      sunrise_together: {
-        threshold: { any: ['e_sunrise_together'] },
-        description: 'Talked until sunrise'
-      },
-      jealousy_revealed: {
-        threshold: { any: ['e_jealousy_shown'] },
-        description: 'Your jealousy surfaced'
-      },
-      committed: {
-        threshold: { any: ['e_committed'] },
-        description: 'You chose to lean in'
-      },
-      soil_chosen: {
-        threshold: { any: ['e_soil_rich', 'e_soil_rocky', 'e_soil_barren'] },
-        description: 'You chose your soil'
-      }
-    };
   }
 
   // ═══════════════════════════════════════════════════════════════════
@@ -73,6 +89,13 @@ class RelationshipEngine {
   // ═══════════════════════════════════════════════════════════════════
 
   async initialize() {
+    this.#data ??= await loadRelationshipData().catch(e => {
+      console.error('Relationship data failed to load:', e);
+      return { defaultCharacter: null, characters: {}, counters: {}, callbacks: {}, tapeCallbacks: {} };
+    });
+    for (const [id, definition] of Object.entries(this.#data.characters)) {
+      if (!this.#characters.has(id)) this.#characters.set(id, new Character(id, definition));
+    }
     this.#restoreState();
     this.#syncWithDecisions();
     return this;
@@ -80,96 +103,80 @@ class RelationshipEngine {
 
   #syncWithDecisions() {
     // Sync state from DecisionEngine
-    const state = engine.getState();
+    this.#updateCounters();
     
-    // Update counts based on flags
-    if (engine.hasFlag('e_game_memory')) this.#state.sharedGames++;
-    if (engine.hasAnyFlag('e_voice_heard_3am', 'e_voice_shared')) this.#state.lateNightCalls++;
-    if (engine.hasFlag('e_jealousy_shown')) this.#state.jealousyMoments++;
-    if (engine.hasFlag('e_vulnerability_shown')) this.#state.vulnerableMoments++;
+    // Set first impression (memories) and soil type (arcs)
+    if (engine.hasEffect('e_first_impression_eager')) this.#state.firstImpression = 'eager';
+    else if (engine.hasEffect('e_first_impression_guarded')) this.#state.firstImpression = 'guarded';
+    else if (engine.hasEffect('e_first_impression_passive')) this.#state.firstImpression = 'passive';
     
-    // Set first impression
-    if (engine.hasFlag('e_first_impression_eager')) this.#state.firstImpression = 'eager';
-    else if (engine.hasFlag('e_first_impression_guarded')) this.#state.firstImpression = 'guarded';
-    else if (engine.hasFlag('e_first_impression_passive')) this.#state.firstImpression = 'passive';
-    
-    // Set soil type
-    if (engine.hasFlag('e_soil_rich')) this.#state.soilType = 'rich';
-    else if (engine.hasFlag('e_soil_rocky')) this.#state.soilType = 'rocky';
-    else if (engine.hasFlag('e_soil_barren')) this.#state.soilType = 'barren';
+    if (engine.hasEffect('e_soil_rich')) this.#state.soilType = 'rich';
+    else if (engine.hasEffect('e_soil_rocky')) this.#state.soilType = 'rocky';
+    else if (engine.hasEffect('e_soil_barren')) this.#state.soilType = 'barren';
     
     // Update phase based on trust level
     this.#updatePhase();
   }
 
-  #updatePhase() {
-    const trust = engine.getStat('trust');
-    const guard = engine.getStat('guard');
-    const net = trust - guard;
+  #updateCounters() {
+    const previous = this.#counters;
+    this.#counters = countEvents(engine.getEffectLog(), engine.getHistory(), this.#data?.counters || {});
     
-    if (net < -5) {
-      this.#state.phase = 'strangers';
-    } else if (net < 5) {
-      this.#state.phase = 'acquaintances';
-    } else if (net < 15) {
-      this.#state.phase = 'friends';
-    } else if (net < 25) {
-      this.#state.phase = 'close';
-    } else {
-      this.#state.phase = 'intimate';
+    // The first count after loading isn't news
+    if (!previous) return;
+    for (const [counter, events] of Object.entries(this.#counters)) {
+      const before = previous[counter]?.length ?? 0;
+      if (events.length !== before) {
+        this.#events.emit('counter', { counter, count: events.length, previous: before, event: events.at(-1) ?? null });
+      }
     }
   }
 
+  #updatePhase() {
+    this.#state.phase = this.#default()?.getPhase() ?? null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // CHARACTERS - Everyone relationship.json describes
+  // ═══════════════════════════════════════════════════════════════════
+
+  /**
+   * A character by id (the default character, Minji, without one)
+   */
+  character(id = this.#data?.defaultCharacter) {
+    const character = this.#characters.get(id);
+    if (!character) throw new Error(`Unknown character "${id}"`);
+    return character;
+  }
+
+  /**
+   * [{ id, name, description, phase, default }] in relationship.json order
+   */
+  listCharacters() {
+    return [...this.#characters.values()].map(character => ({
+      id: character.id,
+      name: character.name,
+      description: character.description,
+      phase: character.getPhase(),
+      default: character.id === this.#data.defaultCharacter
+    }));
+  }
+
+  #default() {
+    return this.#characters.get(this.#data?.defaultCharacter) ?? null;
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // TONE SYSTEM - How she speaks based on relationship state
   // ═══════════════════════════════════════════════════════════════════
 
   getTone() {
-    const trust = engine.getStat('trust');
-    const guard = engine.getStat('guard');
-    
-    // Calculate tone based on trust/guard balance
-    if (trust > guard + 10) {
-      return {
-        warmth: 'high',
-        openness: 'vulnerable',
-        playfulness: 'high',
-        description: 'She speaks to you like someone who trusts you'
-      };
-    } else if (trust > guard) {
-      return {
-        warmth: 'medium',
-        openness: 'cautious',
-        playfulness: 'medium',
-        description: 'She speaks to you with growing warmth'
-      };
-    } else if (guard > trust + 5) {
-      return {
-        warmth: 'low',
-        openness: 'guarded',
-        playfulness: 'minimal',
-        description: 'She speaks to you carefully'
-      };
-    } else {
-      return {
-        warmth: 'neutral',
-        openness: 'neutral',
-        playfulness: 'testing',
-        description: 'She speaks to you like she\'s still figuring you out'
-      };
-    }
+    return this.#default()?.getTone() ?? null;
   }
 
   getDialogueVariant(baseDialogues) {
-    const tone = this.getTone();
-    const phase = this.#state.phase;
-    
-    // baseDialogues structure:
-    // { default: "...", intimate: "...", guarded: "...", friends: "..." }
-    
-    if (baseDialogues[phase]) return baseDialogues[phase];
-    if (tone.warmth === 'high' && baseDialogues.intimate) return baseDialogues.intimate;
-    if (tone.warmth === 'low' && baseDialogues.guarded) return baseDialogues.guarded;
+    const minji = this.#default();
+    if (minji) return minji.getDialogueVariant(baseDialogues);
     return baseDialogues.default || baseDialogues[Object.keys(baseDialogues)[0]];
   }
 
@@ -178,65 +185,18 @@ class RelationshipEngine {
   // ═══════════════════════════════════════════════════════════════════
 
   getCallback(callbackId) {
-    const callbacks = {
-      'first_message': {
-        requires: ['e_replied_fast', 'e_replied_slow'],
-        variants: {
-          e_replied_fast: "You replied to that first message in under a minute. She noticed.",
-          e_replied_slow: "You waited three hours to reply. She noticed that too."
-        }
-      },
-      'sigma_smile': {
-        requires: ['e_caught_smiling'],
-        text: "She still teases you about the smile she caught when she said 'sigma'."
-      },
-      'princess_tycoon': {
-        requires: ['e_game_memory'],
-        text: "Princess tycoon became your game. Two hours that turned into something else entirely."
-      },
-      'scratch_touch': {
-        requires: ['e_physical_contact'],
-        text: "Three seconds. That's how long you held her hand examining that scratch. Neither of you has mentioned it since."
-      },
-      '3am_call': {
-        requires: ['e_voice_heard_3am'],
-        text: "The 3am call. You talked until the sun came up. Some nights are written in permanent ink."
-      },
-      'jealousy': {
-        requires: ['e_jealousy_shown'],
-        variants: {
-          e_territorial: "You told her to tell him she was busy. The fifth word was silent: 'with me.'",
-          e_different_answer: "She called you 'different.' You still don't know if that's good or dangerous.",
-          e_mask_worn: "You changed the subject when she mentioned him. She saw through it."
-        }
-      },
-      'sunrise': {
-        requires: ['e_sunrise_together'],
-        text: "The sunrise you shared on the phone. Neither of you wanted to hang up first."
-      },
-      'soil_choice': {
-        requires: ['e_soil_rich', 'e_soil_rocky', 'e_soil_barren'],
-        variants: {
-          e_soil_rich: "You chose rich soil. You're all in.",
-          e_soil_rocky: "You chose rocky soil. Cautious, but still planting.",
-          e_soil_barren: "You chose barren ground. The seed waits."
-        }
-      }
-    };
-    
-    const callback = callbacks[callbackId];
+    const callback = this.#data?.callbacks[callbackId];
     if (!callback) return null;
     
-    // Check if requirements met
-    const hasRequirement = callback.requires.some(flag => 
-      engine.hasFlag(flag) || engine.hasMemory(flag));
+    // Check if requirements met - any kind of effect (the soils are arcs)
+    const hasRequirement = callback.requires.some(effectId => engine.hasEffect(effectId));
     
     if (!hasRequirement) return null;
     
     // Return appropriate variant
     if (callback.variants) {
-      for (const [flag, text] of Object.entries(callback.variants)) {
-        if (engine.hasFlag(flag)) return text;
+      for (const [effectId, text] of Object.entries(callback.variants)) {
+        if (engine.hasEffect(effectId)) return text;
       }
     }
     
@@ -248,16 +208,8 @@ class RelationshipEngine {
    * Useful for assembling "previously on..." summaries
    */
   getActiveCallbacks(tapeId) {
-    const tapeCallbacks = {
-      tape1: [],
-      tape2: ['first_message', 'sigma_smile', 'princess_tycoon'],
-      tape3: ['scratch_touch', '3am_call', 'jealousy'],
-      tape4: ['sunrise', 'jealousy'],
-      tape5: ['soil_choice', 'sunrise', 'scratch_touch', 'princess_tycoon']
-    };
-    
     const active = [];
-    for (const callbackId of (tapeCallbacks[tapeId] || [])) {
+    for (const callbackId of (this.#data?.tapeCallbacks[tapeId] || [])) {
       const text = this.getCallback(callbackId);
       if (text) {
         active.push({ id: callbackId, text });
@@ -266,31 +218,61 @@ class RelationshipEngine {
     return active;
   }
 
+  // ═══════════════════════════════════════════════════════════════════
+  // COUNTERS - How many times something has happened (see the header)
+  // ═══════════════════════════════════════════════════════════════════
+
+  /**
+   * How many times a counter's event has happened this run (0 if unknown)
+   */
+  getCounter(counter) {
+    return this.#counters?.[counter]?.length ?? 0;
+  }
+
+  /**
+   * Every counter: { name: count }
+   */
+  getCounters() {
+    return Object.fromEntries(Object.keys(this.#data?.counters || {}).map(counter => [counter, this.getCounter(counter)]));
+  }
+
+  /**
+   * The events behind a counter, oldest first:
+   * [{ choice, decisionId, optionId, effectIds, tape, timestamp }]
+   * `choice` is the history index; hand-set effects have no decision.
+   */
+  getCounterEvents(counter) {
+    return structuredClone(this.#counters?.[counter] || []);
+  }
+
+  /**
+   * Call `listener({ counter, count, previous, event })` whenever a counter
+   * changes - up after a choice, down after a rewind. `event` is the
+   * latest one left, or null. Returns a function that unsubscribes.
+   */
+  onCounterChange(listener) {
+    return this.#events.on('counter', listener);
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // MILESTONE SYSTEM - Unlock special content
   // ═══════════════════════════════════════════════════════════════════
 
+  // The default character's; character(id) has everyone else's
+
   hasMilestone(milestoneId) {
-    const milestone = this.#milestones[milestoneId];
-    if (!milestone) return false;
-    
-    if (milestone.threshold.any) {
-      return milestone.threshold.any.some(flag => engine.hasFlag(flag));
-    }
-    if (milestone.threshold.all) {
-      return milestone.threshold.all.every(flag => engine.hasFlag(flag));
-    }
-    return false;
+    return this.#default()?.hasMilestone(milestoneId) ?? false;
+  }
+
+  /**
+   * Every milestone, reached or not: [{ id, description, hint, reached }]
+   */
+  listMilestones() {
+    return this.#default()?.listMilestones() ?? [];
   }
 
   getMilestones() {
-    const active = [];
-    for (const [id, milestone] of Object.entries(this.#milestones)) {
-      if (this.hasMilestone(id)) {
-        active.push({ id, ...milestone });
-      }
-    }
-    return active;
+    return this.#default()?.getMilestones() ?? [];
   }
 
   // ═══════════════════════════════════════════════════════════════════
@@ -298,56 +280,33 @@ class RelationshipEngine {
   // ═══════════════════════════════════════════════════════════════════
 
   /**
-   * Generate a personalized narrative introduction for a tape
+   * Generate a personalized narrative introduction for a tape. The lines
+   * live in tapes.json (`introduction`); soil outranks phase.
    */
   getTapeIntroduction(tapeId) {
-    const callbacks = this.getActiveCallbacks(tapeId);
-    const tone = this.getTone();
-    const phase = this.#state.phase;
-    
-    const introductions = {
-      tape1: {
-        default: "A notification illuminates your screen. A message from a number you don't recognize."
-      },
-      tape2: {
-        default: "Weeks have passed. The messages are no longer from a stranger.",
-        friends: "Weeks have passed. She messages you now like it's the most natural thing in the world.",
-        close: "Weeks have passed. Her name on your screen makes you feel something you're not ready to name."
-      },
-      tape3: {
-        default: "Months pass. Patterns form. You notice things you didn't before.",
-        close: "Months pass. You know her patterns now. And she knows yours.",
-        intimate: "Months pass. You've stopped counting how many times you've talked until 3am."
-      },
-      tape4: {
-        default: "Seasons change. The seed in the ground has roots now.",
-        intimate: "Seasons change. What started as an accident has become something you can't imagine losing."
-      },
-      tape5: {
-        default: "The final tape. What grows here depends entirely on the soil you chose.",
-        rich: "The final tape. Rich soil. Full investment. Whatever grows, you're ready.",
-        rocky: "The final tape. Rocky soil. Hard-won roots. What survives here will be strong.",
-        barren: "The final tape. Barren ground. The seed waits still. Some things need more time."
-      }
-    };
-    
-    const tapeIntros = introductions[tapeId];
-    if (!tapeIntros) return null;
-    
-    // Try soil type first for tape5
-    if (tapeId === 'tape5' && this.#state.soilType && tapeIntros[this.#state.soilType]) {
-      return tapeIntros[this.#state.soilType];
-    }
+    const introductions = getTape(tapeId)?.introduction;
+    if (!introductions) return null;
     
-    // Try phase
-    if (tapeIntros[phase]) return tapeIntros[phase];
-    
-    return tapeIntros.default;
+    return introductions[this.#state.soilType] ??
+      introductions[this.#state.phase] ??
+      introductions.default ??
+      null;
   }
 
   /**
    * Generate summary of relationship for end-of-tape reflection
    */
+  /**
+   * The default character's phase ids in order - what `phase` compares
+   */
+  listPhases() {
+    return this.#data ? defaultPhases(this.#data).map(phase => phase.id) : [];
+  }
+
+  getPhase() {
+    return this.#state.phase;
+  }
+
   getRelationshipSummary() {
     const trust = engine.getStat('trust');
     const guard = engine.getStat('guard');
@@ -361,6 +320,7 @@ class RelationshipEngine {
       net: trust - guard,
       memories: memories.length,
       milestones: milestones.length,
+      counters: this.getCounters(),
       soilType: this.#state.soilType,
       firstImpression: this.#state.firstImpression,
       summary: this.#generateSummaryText()
@@ -390,24 +350,26 @@ class RelationshipEngine {
   // ═══════════════════════════════════════════════════════════════════
 
   #saveState() {
-    try {
-      localStorage.setItem(RELATIONSHIP_KEY, JSON.stringify(this.#state));
-    } catch (e) {
-      console.warn('Failed to save relationship state:', e);
-    }
+    relationshipStore.write(this.#state);
   }
 
   #restoreState() {
-    try {
-      const saved = localStorage.getItem(RELATIONSHIP_KEY);
-      if (saved) {
-        this.#state = { ...this.#state, ...JSON.parse(saved) };
-      }
-    } catch (e) {
-      console.warn('Failed to restore relationship state:', e);
+    const saved = relationshipStore.read();
+    if (saved) {
+      this.#state = { ...this.#state, ...saved };
     }
   }
 
+  /**
+   * Recompute everything derived from DecisionEngine from scratch, so a
+   * rewind rolls back phase, milestones and counters along with it
+   */
+  rebuild() {
+    this.reset();
+    this.#syncWithDecisions();
+    return this;
+  }
+
   reset() {
     this.#state = {
       phase: 'strangers',
@@ -416,15 +378,11 @@ class RelationshipEngine {
       firstVulnerability: null,
       biggestTrustMoment: null,
       biggestGuardMoment: null,
-      sharedGames: 0,
-      lateNightCalls: 0,
-      jealousMoments: 0,
-      vulnerableMoments: 0,
       insideJokes: [],
       unsaidThings: [],
       soilType: null
     };
-    localStorage.removeItem(RELATIONSHIP_KEY);
+    relationshipStore.clear();
   }
 
   // ═══════════════════════════════════════════════════════════════════
@@ -438,11 +396,73 @@ class RelationshipEngine {
     console.log('Soil Type:', this.#state.soilType);
     console.log('Tone:', this.getTone());
     console.log('Milestones:', this.getMilestones());
+    console.log('Counters:', this.getCounters());
+    console.log('Characters:', this.listCharacters());
     console.log('Summary:', this.getRelationshipSummary());
     console.groupEnd();
   }
 }
 
+/**
+ * Group an effect log into counter events: each history entry that applied
+ * (not cleared) one of a counter's effects is one event
+ */
+function countEvents(log, history, counters) {
+  return Object.fromEntries(Object.entries(counters).map(([counter, { effects = [] }]) => {
+    const events = new Map();   // history index → event
+    for (const entry of log) {
+      if (entry.after !== true || !effects.includes(entry.effectId)) continue;
+      
+      if (!events.has(entry.choice)) {
+        const source = history[entry.choice] || {};
+        events.set(entry.choice, {
+          choice: entry.choice,
+          decisionId: source.decisionId ?? null,
+          optionId: source.optionId ?? null,
+          effectIds: [],
+          tape: source.tape ?? null,
+          timestamp: entry.timestamp
+        });
+      }
+      events.get(entry.choice).effectIds.push(entry.effectId);
+    }
+    return [counter, [...events.values()]];
+  }));
+}
+
+/**
+ * The default character's phase ladder - the one conditions compare
+ */
+function defaultPhases(data) {
+  return data.characters?.[data.defaultCharacter]?.phases || [];
+}
+
+let loading = null;
+
+/**
+ * Fetch relationship.json. Later calls share the first load. Tools
+ * after the phase ladder want defaultPhases() of the result.
+ */
+function loadRelationshipData() {
+  loading ??= fetch(RELATIONSHIP_URL)
+    .then(response => {
+      if (!response.ok) throw new Error(`Failed to load ${RELATIONSHIP_URL}`);
+      return response.json();
+    })
+    .then(data => {
+      if (!isPlainObject(data?.characters?.[data.defaultCharacter])) {
+        throw new Error(`${RELATIONSHIP_URL} has no default character`);
+      }
+      return { counters: {}, callbacks: {}, tapeCallbacks: {}, ...data };
+    })
+    .catch(e => {
+      loading = null;
+      throw e;
+    });
+  return loading;
+}
+
 // Singleton export
 const relationshipEngine = new RelationshipEngine();
 export default relationshipEngine;
+export { phaseFor, loadRelationshipData, defaultPhases };
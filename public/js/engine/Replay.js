@@ -0,0 +1,296 @@
+/**
+ * Replay - Deterministic state reconstruction for the decision graph
+ *
+ * A run is its choice history. Replaying that history against the
+ * decision graph rebuilds the exact player state, and produces an effect
+ * log with the value of everything an effect touched before and after it
+ * applied. Stats are clamped to their bounds, so the log - not the sum of
+ * the deltas - is what explains a stat's current value.
+ *
+ *   const { state, log, dropped } = replay(history, graph, { baseline });
+ *
+ * `graph` is decisions.json (or anything with the same `decisions`,
+ * `effects` and `stats` shape). Nothing here touches engine state or
+ * storage; DecisionEngine applies effects through the same functions so
+ * live play and replay can't drift apart.
+ *
+ * History entries are choices ({ decisionId, optionId, tape, timestamp }),
+ * stat adjustments ({ kind: 'adjust', stat, delta, reason, tape,
+ * timestamp }) for changes a tape makes outside a decision, such as a
+ * minigame score, or effect overrides ({ kind: 'effect', effectId,
+ * active, reason, tape, timestamp }) that set or clear a flag, memory or
+ * arc directly - the debug overlay's edits.
+ *
+ * Log entry:
+ *   { seq, choice, decisionId, optionId, effectId, type, stat?, delta?,
+ *     before, after, timestamp }
+ * `choice` is the index of the history entry that applied the effect.
+ * Adjustments log as `stat` with a null effectId; decay logs as `decay`;
+ * a cleared effect logs with `after: false`.
+ *
+ * Stat decay is declared per stat in decisions.json:
+ *   "guard": { "min": 0, "max": 100, "default": 0,
+ *              "decay": { "amount": 2, "per": "tape" } }
+ * It moves the stat toward its default before the first entry of each new
+ * tape ("tape") or before every choice ("choice"; only choices count),
+ * never past the default.
+ *
+ * @version 1.0.0
+ */
+
+const DEFAULT_BOUNDS = { min: 0, max: 100 };
+
+/**
+ * Working state from a saved snapshot ({ stats, flags, memories, arcs }).
+ * Missing stats start at their declared default.
+ */
+function createState(snapshot, statDefs = {}) {
+  const stats = {};
+  for (const [name, def] of Object.entries(statDefs)) {
+    const { min, max } = { ...DEFAULT_BOUNDS, ...def };
+    const saved = Number(snapshot?.stats?.[name]);
+    stats[name] = clamp(Number.isFinite(saved) ? saved : statDefault(def), min, max);
+  }
+
+  return {
+    stats,
+    flags: new Set(snapshot?.flags || []),
+    memories: [...(snapshot?.memories || [])],
+    arcs: new Set(snapshot?.arcs || [])
+  };
+}
+
+/**
+ * Plain, JSON-safe copy of a working state
+ */
+function snapshotState(state) {
+  return {
+    stats: { ...state.stats },
+    flags: [...state.flags],
+    memories: state.memories.map(m => ({ ...m })),
+    arcs: [...state.arcs]
+  };
+}
+
+/**
+ * Apply one effect to a working state in place. Returns what changed
+ * (the log fields), or null for an effect the graph doesn't declare.
+ */
+function applyEffect(state, effectId, effect, timestamp, statDefs = {}) {
+  if (!effect) return null;
+
+  switch (effect.type) {
+    case 'stat': {
+      const { stat, delta } = effect;
+      const before = state.stats[stat];
+      if (before === undefined) {
+        return { type: 'stat', stat, delta, before: null, after: null };
+      }
+      const { min, max } = { ...DEFAULT_BOUNDS, ...statDefs[stat] };
+      state.stats[stat] = clamp(before + delta, min, max);
+      return { type: 'stat', stat, delta, before, after: state.stats[stat] };
+    }
+
+    case 'flag': {
+      const before = state.flags.has(effectId);
+      state.flags.add(effectId);
+      return { type: 'flag', before, after: true };
+    }
+
+    case 'memory': {
+      const before = state.memories.some(m => m.id === effectId);
+      state.memories.push({ id: effectId, description: effect.description, timestamp });
+      return { type: 'memory', before, after: true };
+    }
+
+    case 'arc': {
+      const before = state.arcs.has(effectId);
+      state.arcs.add(effectId);
+      return { type: 'arc', before, after: true };
+    }
+
+    default:
+      return { type: 'unknown', before: null, after: null };
+  }
+}
+
+/**
+ * Undo a flag, memory or arc in place - every copy of a memory goes.
+ * Returns what changed, like applyEffect.
+ */
+function clearEffect(state, effectId, effect) {
+  if (!effect) return null;
+
+  switch (effect.type) {
+    case 'flag':
+      return { type: 'flag', before: state.flags.delete(effectId), after: false };
+
+    case 'memory': {
+      const before = state.memories.some(m => m.id === effectId);
+      state.memories = state.memories.filter(m => m.id !== effectId);
+      return { type: 'memory', before, after: false };
+    }
+
+    case 'arc':
+      return { type: 'arc', before: state.arcs.delete(effectId), after: false };
+
+    default:
+      return { type: 'unknown', before: null, after: null };
+  }
+}
+
+/**
+ * Move every decaying stat toward its default. `previous` is the history
+ * entry before `entry` (null for the first), which decides whether a
+ * per-tape decay is due. Returns what changed.
+ */
+function applyDecay(state, entry, previous, statDefs = {}) {
+  const changes = [];
+
+  for (const [stat, def] of Object.entries(statDefs)) {
+    const { amount, per } = def.decay || {};
+    if (!amount || state.stats[stat] === undefined) continue;
+    if (per === 'tape' && (!previous || previous.tape === entry.tape)) continue;
+    if (per === 'choice' && entry.kind) continue;
+
+    const target = statDefault(def);
+    const before = state.stats[stat];
+    const after = before > target ? Math.max(target, before - amount) : Math.min(target, before + amount);
+    if (after === before) continue;
+
+    state.stats[stat] = after;
+    changes.push({ effectId: null, type: 'decay', stat, delta: after - before, before, after });
+  }
+
+  return changes;
+}
+
+/**
+ * Apply one history entry - a choice's effects, a stat adjustment or an
+ * effect override, after any decay it triggers - appending to `log`.
+ * Returns the log entries it added, or null if the graph can't apply the
+ * entry.
+ */
+function applyChoice(state, entry, choiceIndex, graph, log, previous = null) {
+  let effects;
+  let apply = applyEffect;
+  if (entry.kind === 'adjust') {
+    if (!graph.stats?.[entry.stat] || !Number.isFinite(entry.delta)) return null;
+    effects = [[null, { type: 'stat', stat: entry.stat, delta: entry.delta }]];
+  } else if (entry.kind === 'effect') {
+    const effect = graph.effects?.[entry.effectId];
+    if (!['flag', 'memory', 'arc'].includes(effect?.type)) return null;
+    effects = [[entry.effectId, effect]];
+    if (entry.active === false) apply = clearEffect;
+  } else {
+    const decision = graph.decisions?.[entry.decisionId];
+    const option = decision?.options?.find(o => o.id === entry.optionId);
+    if (!option) return null;
+    effects = (option.effects || []).map(id => [id, graph.effects?.[id]]);
+  }
+
+  const changes = applyDecay(state, entry, previous, graph.stats);
+  for (const [effectId, effect] of effects) {
+    const change = apply(state, effectId, effect, entry.timestamp, graph.stats);
+    if (change) changes.push({ effectId, ...change });
+  }
+
+  return changes.map(change => {
+    const logEntry = {
+      seq: log.length,
+      choice: choiceIndex,
+      decisionId: entry.decisionId,
+      optionId: entry.optionId,
+      ...change,
+      timestamp: entry.timestamp
+    };
+    log.push(logEntry);
+    return logEntry;
+  });
+}
+
+/**
+ * Rebuild state from a baseline snapshot plus a choice history.
+ * History entries the graph no longer knows are skipped and returned in
+ * `dropped`; the returned `history` is what was actually applied.
+ */
+function replay(history, graph, { baseline = null } = {}) {
+  const state = createState(baseline, graph.stats);
+  const applied = [];
+  const dropped = [];
+  const log = [];
+
+  for (const entry of history) {
+    if (applyChoice(state, entry, applied.length, graph, log, applied.at(-1) || null)) {
+      applied.push(entry);
+    } else {
+      dropped.push(entry);
+    }
+  }
+
+  return { state: snapshotState(state), history: applied, log, dropped };
+}
+
+/**
+ * Compare a saved run ({ stats, flags, memories, arcs, history, baseline,
+ * log? }) with what replaying its history produces. Returns a list of
+ * human-readable problems; empty means the save is consistent.
+ */
+function verifyRun(run, graph) {
+  const problems = [];
+  const { state, log, dropped } = replay(run.history || [], graph, { baseline: run.baseline });
+
+  for (const entry of dropped) {
+    problems.push(`history has ${describeEntry(entry)}, which the decision graph doesn't define`);
+  }
+
+  for (const [stat, value] of Object.entries(state.stats)) {
+    const saved = run.stats?.[stat] ?? statDefault(graph.stats?.[stat]);
+    if (Number(saved) !== value) {
+      problems.push(`${stat} is ${saved}, replay gives ${value}`);
+    }
+  }
+
+  const compareSets = (label, saved = [], replayed = []) => {
+    const savedSet = new Set(saved);
+    const replayedSet = new Set(replayed);
+    const extra = [...savedSet].filter(id => !replayedSet.has(id));
+    const missing = [...replayedSet].filter(id => !savedSet.has(id));
+    if (extra.length) problems.push(`${label} not explained by history: ${extra.join(', ')}`);
+    if (missing.length) problems.push(`${label} missing from save: ${missing.join(', ')}`);
+  };
+  compareSets('flags', run.flags, state.flags);
+  compareSets('arcs', run.arcs, state.arcs);
+  compareSets('memories', (run.memories || []).map(m => m.id), state.memories.map(m => m.id));
+
+  if (Array.isArray(run.log)) {
+    const key = e => `${e.choice}:${e.effectId ?? e.stat}:${JSON.stringify(e.before)}→${JSON.stringify(e.after)}`;
+    const mismatch = log.findIndex((entry, i) => !run.log[i] || key(run.log[i]) !== key(entry));
+    if (mismatch !== -1 || run.log.length !== log.length) {
+      const at = mismatch === -1 ? Math.min(run.log.length, log.length) : mismatch;
+      problems.push(`effect log diverges from replay at entry ${at}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Short label for a history entry, for warnings and reports
+ */
+function describeEntry(entry) {
+  if (entry.kind === 'adjust') return `a ${entry.stat} adjustment`;
+  if (entry.kind === 'effect') return `${entry.active === false ? 'a clear of' : 'a set of'} ${entry.effectId}`;
+  return `${entry.decisionId}/${entry.optionId}`;
+}
+
+function statDefault(def = {}) {
+  return def.default ?? def.min ?? DEFAULT_BOUNDS.min;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+export default replay;
+export { replay, verifyRun, createState, snapshotState, applyEffect, clearEffect, applyDecay, applyChoice, describeEntry };
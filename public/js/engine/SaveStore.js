@@ -0,0 +1,207 @@
+/**
+ * SaveStore - Versioned localStorage persistence
+ *
+ * Every save blob is wrapped in an envelope:
+ *
+ *   { format: 'seed-archive-save', version: 2, savedAt: 1700000000000, data: {...} }
+ *
+ * Blobs written before envelopes existed are read as version 0.
+ * On read, data walks forward through the registered migrations one
+ * version at a time. Anything that can't be parsed, migrated or validated
+ * is moved to a quarantine key instead of being deleted, so a bad build
+ * never silently wipes a player's run.
+ *
+ * Usage:
+ *
+ *   const store = new SaveStore('seed_archive_example', {
+ *     migrations: [
+ *       { version: 1, description: 'Wrap legacy blob', up: data => ({ ...data }) },
+ *       { version: 2, description: 'Rename foo → bar', up: ({ foo, ...rest }) => ({ ...rest, bar: foo }) }
+ *     ],
+ *     validate: data => Array.isArray(data.bar)
+ *   });
+ *
+ *   const data = store.read();   // null if empty or quarantined
+ *   store.write(data);
+ *
+ * @version 1.0.0
+ */
+
+const ENVELOPE_FORMAT = 'seed-archive-save';
+const QUARANTINE_SEPARATOR = ':quarantine:';
+
+class SaveStore {
+  #key;
+  #migrations;      // Migration[] sorted by version, contiguous from 1
+  #validate;        // (data) => boolean
+
+  constructor(key, { migrations = [], validate = null } = {}) {
+    this.#key = key;
+    this.#migrations = [...migrations].sort((a, b) => a.version - b.version);
+    this.#validate = validate;
+
+    this.#migrations.forEach((migration, i) => {
+      if (migration.version !== i + 1) {
+        throw new Error(`SaveStore "${key}": migrations must be numbered 1..n, found ${migration.version} at position ${i + 1}`);
+      }
+    });
+  }
+
+  get key() {
+    return this.#key;
+  }
+
+  /**
+   * Current schema version (the highest registered migration)
+   */
+  get version() {
+    return this.#migrations.length;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // READ / WRITE
+  // ═══════════════════════════════════════════════════════════════════
+
+  /**
+   * Load, migrate and validate the stored blob.
+   * Returns null when nothing is stored or the blob had to be quarantined.
+   */
+  read() {
+    let raw;
+    try {
+      raw = localStorage.getItem(this.#key);
+    } catch (e) {
+      console.warn(`Failed to read ${this.#key}:`, e);
+      return null;
+    }
+    if (raw === null) return null;
+
+    try {
+      const { data, fromVersion } = this.upgrade(JSON.parse(raw));
+
+      // Persist the migrated shape so we only migrate once
+      if (fromVersion !== this.version) {
+        this.write(data);
+        console.log(`✓ Migrated ${this.#key} v${fromVersion} → v${this.version}`);
+      }
+      return data;
+    } catch (e) {
+      this.#quarantine(raw, e);
+      return null;
+    }
+  }
+
+  write(data) {
+    try {
+      localStorage.setItem(this.#key, JSON.stringify(this.wrap(data)));
+      return true;
+    } catch (e) {
+      console.warn(`Failed to save ${this.#key}:`, e);
+      return false;
+    }
+  }
+
+  clear() {
+    localStorage.removeItem(this.#key);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // ENVELOPE + MIGRATIONS
+  // ═══════════════════════════════════════════════════════════════════
+
+  wrap(data) {
+    return {
+      format: ENVELOPE_FORMAT,
+      version: this.version,
+      savedAt: Date.now(),
+      data
+    };
+  }
+
+  /**
+   * Bring a parsed blob (enveloped or legacy) up to the current version.
+   * Throws if the blob is from a newer build, a migration fails, or the
+   * result doesn't validate.
+   */
+  upgrade(parsed) {
+    const isEnvelope = isSaveEnvelope(parsed);
+    const fromVersion = isEnvelope ? parsed.version : 0;
+    let data = isEnvelope ? parsed.data : parsed;
+
+    if (fromVersion > this.version) {
+      throw new Error(`${this.#key} is v${fromVersion}, this build only understands up to v${this.version}`);
+    }
+
+    for (const migration of this.#migrations.slice(fromVersion)) {
+      try {
+        data = migration.up(data);
+      } catch (e) {
+        throw new Error(`Migration to v${migration.version} (${migration.description || 'unnamed'}) failed: ${e.message}`);
+      }
+    }
+
+    if (this.#validate && !this.#validate(data)) {
+      throw new Error(`${this.#key} v${this.version} failed validation`);
+    }
+
+    return { data, fromVersion };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // QUARANTINE - Keep unreadable saves around for recovery
+  // ═══════════════════════════════════════════════════════════════════
+
+  #quarantine(raw, error) {
+    const quarantineKey = `${this.#key}${QUARANTINE_SEPARATOR}${Date.now()}`;
+
+    try {
+      localStorage.setItem(quarantineKey, JSON.stringify({
+        key: this.#key,
+        error: error.message,
+        quarantinedAt: Date.now(),
+        raw
+      }));
+      localStorage.removeItem(this.#key);
+      console.warn(`⚠️ Quarantined unreadable save ${this.#key} → ${quarantineKey}:`, error.message);
+    } catch (e) {
+      // Couldn't copy it out - leave the original in place rather than lose it
+      console.warn(`Failed to quarantine ${this.#key}, leaving it untouched:`, e);
+    }
+  }
+
+  listQuarantined() {
+    return listQuarantinedSaves().filter(entry => entry.key === this.#key);
+  }
+}
+
+/**
+ * Every quarantined blob across all stores, oldest first
+ */
+function listQuarantinedSaves() {
+  const entries = [];
+
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key?.includes(QUARANTINE_SEPARATOR)) continue;
+    try {
+      entries.push({ quarantineKey: key, ...JSON.parse(localStorage.getItem(key)) });
+    } catch (e) {
+      entries.push({ quarantineKey: key, key: key.split(QUARANTINE_SEPARATOR)[0], raw: localStorage.getItem(key) });
+    }
+  }
+  return entries.sort((a, b) => (a.quarantinedAt || 0) - (b.quarantinedAt || 0));
+}
+
+function isSaveEnvelope(value) {
+  return !!value &&
+    typeof value === 'object' &&
+    value.format === ENVELOPE_FORMAT &&
+    Number.isInteger(value.version) &&
+    'data' in value;
+}
+
+const isPlainObject = value =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+export default SaveStore;
+export { isSaveEnvelope, isPlainObject, listQuarantinedSaves };
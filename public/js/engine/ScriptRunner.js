@@ -0,0 +1,175 @@
+/**
+ * ScriptRunner - Plays declarative tape scripts
+ *
+ * A tape's story lives in public/data/scripts/<tape>.json instead of one
+ * long async function. The runner owns the flow (scenes, waits, choices,
+ * branches); the tape supplies a host that knows how to draw a line, show
+ * the phone or play a sound, so one format serves every tape's look.
+ *
+ *   const script = await loadScript('tape1');   // public/data/scripts/tape1.json
+ *   await new ScriptRunner(script, host).run();
+ *
+ * Script:
+ *   { "tape": "tape1", "defaults": { "wait": 500 },
+ *     "scenes": [ { "id": "the_add", "steps": [ ... ] }, ... ] }
+ *
+ * Scenes run in order; each one is a beat on the tape's counter. A step
+ * is a line of text or an object keyed by its command:
+ *
+ *   "her: \"I'm sigma.\""                 line - speaker: text (narrator if no speaker)
+ *   { "say": "...", "as": "memory",       line with options; `hold` is how long
+ *     "hold": 1100, "wait": 0 }           the line takes to appear
+ *   { "wait": 800 }                       pause
+ *   { "choice": "d_tape1_scratch",        present a decision (see decisions.json)
+ *     "options": [{ "id", "text", "preview", "emotional" }] }
+ *   { "branch": [                         first case whose condition holds;
+ *       { "when": "chose(d_tape1_scratch, take_hand)", "steps": [...] },
+ *       { "steps": [...] } ] }            a case without `when` is the fallback
+ *   { "goto": "soil" }                    jump to a scene and carry on from there
+ *   { "end": true }                       stop the script
+ *
+ * Anything else is a host command, e.g. { "show": "phone", "time": "3:08 AM",
+ * "messages": [...] }, { "sound": "whoosh" }, { "continue": true }. Any step
+ * can carry a `wait` to pause after it; lines default to `defaults.wait`.
+ * Conditions use the shared language in Condition.js.
+ *
+ * Host:
+ *   say(line)                 → Promise   line = { text, as, style, hold }
+ *   choose(decisionId, options) → Promise<optionId>
+ *   check(condition)          → boolean
+ *   scene?(index, total, scene)           called as each scene starts
+ *   sleep?(ms)                → Promise   defaults to setTimeout
+ *   commands: { [name]: (value, step) => Promise|void }
+ *
+ * @version 1.0.0
+ */
+
+// Resolved against this module so the tapes work wherever the site is served from
+const SCRIPT_DIR = new URL('../../data/scripts/', import.meta.url);
+
+const SPEAKER_LINE = /^(\w+):\s+([\s\S]*)$/;
+const DEFAULT_SPEAKER = 'narrator';
+const BUILT_INS = ['say', 'choice', 'branch', 'goto', 'end'];
+
+/**
+ * Fetch and sanity-check a tape's script
+ */
+async function loadScript(tapeId) {
+  const url = new URL(`${tapeId}.json`, SCRIPT_DIR).href;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load ${url}`);
+
+  const script = await response.json();
+  if (!Array.isArray(script?.scenes)) throw new Error(`${url} has no scenes`);
+  return script;
+}
+
+/**
+ * Expand a line shorthand ("me: text") into its object form
+ */
+function normalizeStep(step) {
+  if (typeof step !== 'string') return step;
+
+  const match = SPEAKER_LINE.exec(step);
+  return match ? { say: match[2], as: match[1] } : { say: step };
+}
+
+class ScriptRunner {
+  #script;
+  #host;
+  #defaults;
+  #sceneIndex;   // Map<sceneId, index>
+
+  constructor(script, host) {
+    this.#script = script;
+    this.#host = { commands: {}, sleep: ms => new Promise(r => setTimeout(r, ms)), ...host };
+    this.#defaults = { wait: 0, ...script.defaults };
+    this.#sceneIndex = new Map(script.scenes.map((scene, i) => [scene.id, i]));
+  }
+
+  get scenes() {
+    return this.#script.scenes.map(scene => scene.id);
+  }
+
+  /**
+   * Play the script from the first scene, or from `startScene`
+   */
+  async run(startScene = null) {
+    const scenes = this.#script.scenes;
+    let index = startScene === null ? 0 : this.#requireScene(startScene);
+
+    while (index < scenes.length) {
+      const scene = scenes[index];
+      this.#host.scene?.(index, scenes.length, scene);
+
+      const signal = await this.#runSteps(scene.steps || []);
+      if (signal?.end) return;
+      index = signal?.goto !== undefined ? this.#requireScene(signal.goto) : index + 1;
+    }
+  }
+
+  // Returns a control signal ({ goto } or { end }) or undefined to carry on
+  async #runSteps(steps) {
+    for (const raw of steps) {
+      const signal = await this.#runStep(normalizeStep(raw));
+      if (signal) return signal;
+    }
+  }
+
+  async #runStep(step) {
+    const host = this.#host;
+    const command = BUILT_INS.find(key => key in step) ??
+      Object.keys(step).find(key => Object.hasOwn(host.commands, key));
+
+    switch (command) {
+      case 'say':
+        await host.say({
+          text: step.say,
+          as: step.as ?? DEFAULT_SPEAKER,
+          style: step.style || null,
+          hold: step.hold
+        });
+        await this.#pause(step.wait ?? this.#defaults.wait);
+        return;
+
+      case 'choice':
+        await host.choose(step.choice, step.options);
+        break;
+
+      case 'branch': {
+        const match = step.branch.find(c => c.when === undefined || host.check(c.when));
+        const signal = match ? await this.#runSteps(match.steps || []) : undefined;
+        if (signal) return signal;
+        break;
+      }
+
+      case 'goto':
+        return { goto: step.goto };
+
+      case 'end':
+        return { end: true };
+
+      case undefined:
+        if (!('wait' in step)) console.warn(`Unknown script step: ${JSON.stringify(step)}`);
+        break;
+
+      default:
+        await host.commands[command](step[command], step);
+    }
+
+    await this.#pause(step.wait);
+  }
+
+  #pause(ms) {
+    return ms > 0 ? this.#host.sleep(ms) : Promise.resolve();
+  }
+
+  #requireScene(id) {
+    const index = this.#sceneIndex.get(id);
+    if (index === undefined) throw new Error(`Unknown scene: ${id}`);
+    return index;
+  }
+}
+
+export default ScriptRunner;
+export { ScriptRunner, loadScript, normalizeStep };
@@ -0,0 +1,76 @@
+/**
+ * Tapes - The tape manifest (public/data/tapes.json)
+ *
+ * One entry per tape, in play order. The rack in index.html, the unlock
+ * rules (GameEngine.getTapes), the tape introductions (RelationshipEngine)
+ * and the tooling all read it:
+ *
+ *   {
+ *     id, title, file, color, glow, rating, description,
+ *     requires?:     ['tape1', ...]   tapes that must be played first
+ *     unlock?:       "condition"      must hold as well (Condition.js - flags,
+ *                                     stats, phase, ending(id)...)
+ *     locked?:       true             on the rack, but not playable in this build
+ *     lockedText?:   "..."            what the rack says when it refuses the tape
+ *     announce?:     "..."            the welcome line once it unlocks
+ *     endings?:      [{ id, title, hint }]
+ *                                     endings the tape records on completion;
+ *                                     the gallery shows the hint until reached
+ *     finale?:       true             completing it settles the run's ending
+ *                                     (decisions.json `endings`) in the gallery
+ *     introduction?: { default, <phase>, <soil> }
+ *   }
+ *
+ * Introductions pick the soil line first, then the phase, then default.
+ *
+ * @version 1.0.0
+ */
+
+// Resolved against this module so the tapes work wherever the site is served from
+const MANIFEST_URL = new URL('../../data/tapes.json', import.meta.url).href;
+
+let tapes = [];
+let loading = null;
+
+/**
+ * Fetch and sanity-check the manifest. Later calls share the first load.
+ */
+function loadTapes() {
+  loading ??= fetch(MANIFEST_URL)
+    .then(response => {
+      if (!response.ok) throw new Error(`Failed to load ${MANIFEST_URL}`);
+      return response.json();
+    })
+    .then(manifest => {
+      if (!Array.isArray(manifest?.tapes)) throw new Error(`${MANIFEST_URL} has no tapes`);
+
+      const ids = new Set(manifest.tapes.map(tape => tape.id));
+      for (const tape of manifest.tapes) {
+        const missing = (tape.requires || []).filter(id => !ids.has(id));
+        if (missing.length) console.warn(`${MANIFEST_URL}: ${tape.id} requires unknown tapes: ${missing.join(', ')}`);
+      }
+
+      tapes = manifest.tapes;
+      return listTapes();
+    })
+    .catch(e => {
+      loading = null;
+      throw e;
+    });
+  return loading;
+}
+
+/**
+ * Every tape in play order (copies; empty until loadTapes() resolves)
+ */
+function listTapes() {
+  return structuredClone(tapes);
+}
+
+function getTape(tapeId) {
+  const tape = tapes.find(t => t.id === tapeId);
+  return tape ? structuredClone(tape) : null;
+}
+
+export default loadTapes;
+export { loadTapes, listTapes, getTape };
@@ -0,0 +1,190 @@
+/**
+ * Template - State woven into a line of dialogue
+ *
+ *   You've played {sharedGames|# game|# games} together.
+ *   She {if tone(warmth, high)}grins{elif phase >= friends}smiles{else}nods{/if}.
+ *   {if e_sunrise_together}The sunrise is still yours.{/if}
+ *
+ * Tags:
+ *
+ *   {name}                      a variable, HTML-escaped
+ *   {name|one|many}             pluralised on the number `name` holds;
+ *   {name|zero|one|many}        `#` in a form is replaced by the number
+ *   {if expr} {elif expr} {else} {/if}
+ *                               expr is a condition (see Condition.js), so
+ *                               flags, stats, phase and tone(field, value)
+ *                               all work; blocks nest
+ *   {{ }}                       literal braces
+ *
+ * What the writer typed, plural forms included, is their own HTML and
+ * passes through as written; values that come from state are escaped, so
+ * the result is safe to hand to UI.p.
+ *
+ * Templates compile once to `(scope) => string`. The scope is supplied by
+ * the caller (GameEngine.render) so this module stays free of engine
+ * state:
+ *
+ *   { value(name) → value | undefined, evaluate(expression) → boolean }
+ *
+ * @version 1.0.0
+ */
+
+import { parseCondition } from './Condition.js';
+
+const TAG = /\{\{|\}\}|\{([^{}]*)\}/g;
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+class TemplateError extends Error {
+  constructor(message, source, position = null) {
+    super(position === null ? `${message} in "${source}"` : `${message} at ${position} in "${source}"`);
+    this.name = 'TemplateError';
+    this.source = source;
+    this.position = position;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Parse a template into a list of nodes:
+ *   { type: 'text', text } | { type: 'value', name }
+ *   { type: 'plural', name, forms } | { type: 'if', branches: [{ when, nodes }] }
+ * An `{else}` branch has `when: null`.
+ */
+function parseTemplate(source) {
+  if (typeof source !== 'string') throw new TemplateError('Template is not a string', String(source));
+
+  const root = [];
+  const open = [];   // if nodes still waiting for {/if}, innermost last
+  let nodes = root;
+  let last = 0;
+
+  const fail = (message, position) => new TemplateError(message, source, position);
+  const text = value => {
+    if (value) nodes.push({ type: 'text', text: value });
+  };
+  const condition = (expression, position) => {
+    try {
+      parseCondition(expression);
+    } catch (e) {
+      throw fail(e.message, position);
+    }
+    return expression;
+  };
+
+  for (const match of source.matchAll(TAG)) {
+    text(source.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    if (match[1] === undefined) {
+      text(match[0][0]);
+      continue;
+    }
+
+    const tag = match[1].trim();
+    const position = match.index;
+    const block = /^(if|elif)\s+(.+)$/.exec(tag);
+
+    if (tag === 'if' || tag === 'elif') throw fail(`{${tag}} needs a condition`, position);
+
+    if (block?.[1] === 'if') {
+      const node = { type: 'if', branches: [{ when: condition(block[2], position), nodes: [] }], position };
+      nodes.push(node);
+      open.push(node);
+      nodes = node.branches[0].nodes;
+    } else if (block || tag === 'else') {
+      const node = open.at(-1);
+      if (!node) throw fail(`{${tag}} outside an {if}`, position);
+      if (node.branches.at(-1).when === null) throw fail(`{${tag}} after {else}`, position);
+
+      const branch = { when: block ? condition(block[2], position) : null, nodes: [] };
+      node.branches.push(branch);
+      nodes = branch.nodes;
+    } else if (tag === '/if') {
+      if (!open.pop()) throw fail('{/if} without an {if}', position);
+      const outer = open.at(-1);
+      nodes = outer ? outer.branches.at(-1).nodes : root;
+    } else {
+      const [name, ...forms] = tag.split('|');
+      if (!/^[A-Za-z_]\w*$/.test(name.trim())) throw fail(`Unknown tag {${tag}}`, position);
+      if (forms.length === 0) {
+        nodes.push({ type: 'value', name: name.trim() });
+      } else if (forms.length === 2 || forms.length === 3) {
+        nodes.push({ type: 'plural', name: name.trim(), forms });
+      } else {
+        throw fail(`{${name.trim()}|...} takes 2 or 3 forms, got ${forms.length}`, position);
+      }
+    }
+  }
+
+  if (open.length) throw fail('{if} without a {/if}', open.at(-1).position);
+  text(source.slice(last));
+  return root;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RENDERING
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Compile a template to `(scope) => string`. The renderer keeps its
+ * source on `.source` for debugging.
+ */
+function compileTemplate(source) {
+  const nodes = parseTemplate(source);
+  const render = scope => renderNodes(nodes, scope);
+  render.source = source;
+  return render;
+}
+
+function renderNodes(nodes, scope) {
+  let out = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.text;
+        break;
+
+      case 'value': {
+        const value = scope.value(node.name);
+        if (value === undefined || value === null) {
+          console.warn(`Template variable "${node.name}" is not defined`);
+          out += `{${escapeHtml(node.name)}}`;
+        } else {
+          out += escapeHtml(value);
+        }
+        break;
+      }
+
+      case 'plural': {
+        const count = Number(scope.value(node.name) ?? 0);
+        const [zero, one, many] = node.forms.length === 3 ? node.forms : [node.forms[1], ...node.forms];
+        const form = count === 0 ? zero : count === 1 ? one : many;
+        out += form.replaceAll('#', count);
+        break;
+      }
+
+      case 'if': {
+        const branch = node.branches.find(({ when }) => when === null || scope.evaluate(when));
+        if (branch) out += renderNodes(branch.nodes, scope);
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+export default compileTemplate;
+export {
+  compileTemplate,
+  parseTemplate,
+  escapeHtml,
+  TemplateError
+};
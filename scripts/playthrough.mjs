@@ -0,0 +1,577 @@
+#!/usr/bin/env node
+/**
+ * playthrough.mjs - Headless tape runner
+ *
+ * Run with: node scripts/playthrough.mjs <tape> [options]
+ *
+ * Plays a tape's script (public/data/scripts/<tape>.json) through
+ * ScriptRunner and the real GameEngine, in Node, with no browser. Time is
+ * fast-forwarded (sleeps, holds and "continue" taps resolve at once) and
+ * choices are answered from a scripted list instead of clicks. After each
+ * run it checks that:
+ *
+ * 1. The script reached its end without throwing
+ * 2. The tape's history is exactly the choices that were made
+ * 3. seed_archive_v3 holds a complete record for the tape with the run's
+ *    seed, stats, soil and flags as they were when the tape saved
+ * 4. The run replays cleanly from its history (DecisionEngine.verifyState)
+ * 5. Every --expect condition holds and the ending is --ending, if given
+ * 6. Every tape introduction written for the run's soil (tapes.json) is
+ *    the one the engine picks
+ * 7. Every callback (relationship.json) whose requirement is met has a line
+ *
+ * Options:
+ *   --choices a,b,c        Answer choices in order; `decision=option` pins an
+ *                          answer to one decision. Without it the first
+ *                          available option is taken.
+ *   --seed <seed>          Seed for the tape's rolls (default "playthrough")
+ *   --difficulty <level>   story | normal | hard
+ *   --expect "<condition>" A condition (Condition.js) that must hold at the end;
+ *                          repeatable
+ *   --ending <id>          The ending determineEnding() must pick
+ *   --skip-boss <id>       Once the script ends, skip a boss (public/data/bosses)
+ *                          the way story mode lets a player, recording its
+ *                          outcome as the tape would; check it with --expect
+ *   --all                  Play every path through the tape's choices
+ *   --sample <n>           Play n random paths (seeded by --seed)
+ *   --session <file>       Replay a recorded session (game.getSession() in the
+ *                          browser console, or --record)
+ *   --record <file>        Write the run as a session, with its ending and
+ *                          stats as expectations, for replaying later
+ *   --verbose              Show the engines' own logging
+ *
+ * Only what the engines see is played: lines, sounds and effects are
+ * skipped, and a tape's minigames (run: memoryMatch) don't run.
+ *
+ * The Wall spares an open-hearted run that skips it:
+ *   node scripts/playthrough.mjs tape1 --skip-boss the_wall \
+ *     --expect "chose(d_tape3_wall_outcome, mercy)"
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT_DIR = fileURLToPath(new URL('../public/data/scripts/', import.meta.url));
+const PROGRESS_KEY = 'seed_archive_v3';
+const DEFAULT_SEED = 'playthrough';
+const MAX_LISTED_FAILURES = 10;
+
+// Commands the tape hosts implement; headless they only have to resolve
+const HEADLESS_COMMANDS = ['clear', 'continue', 'sound', 'vfx', 'show', 'hide'];
+
+const print = console.log.bind(console);
+
+// ═══════════════════════════════════════════════════════════════════
+// BROWSER SHIM - just what the engines touch
+// ═══════════════════════════════════════════════════════════════════
+
+class MemoryStorage {
+  #items = new Map();
+
+  get length() {
+    return this.#items.size;
+  }
+
+  key(index) {
+    return [...this.#items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+}
+
+// The engines resolve their data against import.meta.url, so every fetch is a file: URL
+const files = new Map();
+async function fetchFile(url) {
+  const file = fileURLToPath(url);
+  if (!files.has(file)) {
+    try {
+      files.set(file, fs.readFileSync(file, 'utf-8'));
+    } catch {
+      files.set(file, null);
+    }
+  }
+  const text = files.get(file);
+  return { ok: text !== null, json: async () => JSON.parse(text) };
+}
+
+globalThis.localStorage = new MemoryStorage();
+globalThis.fetch = fetchFile;
+
+const verbose = process.argv.includes('--verbose');
+const engineWarnings = [];
+if (!verbose) {
+  console.log = () => {};
+  console.group = () => {};
+  console.groupEnd = () => {};
+  console.warn = (...args) => engineWarnings.push(args.map(String).join(' '));
+}
+
+const { default: game, DecisionEngine } = await import('../public/js/engine/GameEngine.js');
+const { default: ScriptRunner, loadScript } = await import('../public/js/engine/ScriptRunner.js');
+const { default: Random } = await import('../public/js/engine/Random.js');
+const { listTapes } = await import('../public/js/engine/Tapes.js');
+const { default: Battle, loadBoss } = await import('../public/js/engine/BattleEngine.js');
+const { loadRelationshipData } = await import('../public/js/engine/RelationshipEngine.js');
+
+// ═══════════════════════════════════════════════════════════════════
+// PLAYING A TAPE
+// ═══════════════════════════════════════════════════════════════════
+
+class PlaythroughError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlaythroughError';
+  }
+}
+
+/**
+ * Play a tape once on a fresh save.
+ *
+ * `answer(decisionId, offered, index)` picks each choice's option from the
+ * ids not locked by their gates. Returns { tape, seed, difficulty, path,
+ * ending, stats, record, problems }; path is [{ decision, option, offered }].
+ */
+async function playthrough(tapeId, { answer = firstAvailable, seed = DEFAULT_SEED, difficulty = 'normal', expect = [], ending = null, skipBoss = null } = {}) {
+  localStorage.clear();
+  game.resetAll();
+  localStorage.clear();
+
+  await game.initialize(tapeId, { seed });
+  game.setDifficulty(difficulty);
+  engineWarnings.length = 0;
+
+  const script = await loadScript(tapeId);
+  const path = [];
+  const problems = [];
+  let saved = null;
+
+  const actions = {
+    save: () => {
+      game.completeTape(tapeId);
+      saved = expectedRecord(tapeId);
+    }
+  };
+
+  const host = {
+    say: async () => {},
+    sleep: async () => {},
+    check: expr => game.check(expr),
+    choose: async (decisionId, options) => {
+      const gates = Object.fromEntries(game.getAvailableOptions(decisionId).map(o => [o.id, o]));
+      const offered = options.map(o => o.id).filter(id => gates[id]?.available !== false);
+      const optionId = answer(decisionId, offered, path.length);
+
+      if (!options.some(o => o.id === optionId)) {
+        throw new PlaythroughError(`${decisionId}: "${optionId}" is not one of ${options.map(o => o.id).join(', ')}`);
+      }
+      if (!offered.includes(optionId)) {
+        throw new PlaythroughError(`${decisionId}: "${optionId}" is locked (${gates[optionId].lockedReason})`);
+      }
+
+      game.makeChoice(decisionId, optionId);
+      path.push({ decision: decisionId, option: optionId, offered });
+      return optionId;
+    },
+    commands: {
+      ...Object.fromEntries(HEADLESS_COMMANDS.map(name => [name, () => {}])),
+      run: name => {
+        if (Object.hasOwn(actions, name)) return actions[name]();
+      }
+    }
+  };
+
+  try {
+    await new ScriptRunner(script, host).run();
+  } catch (e) {
+    problems.push(e instanceof PlaythroughError ? e.message : `script failed: ${e.message}`);
+  }
+
+  if (problems.length === 0) {
+    problems.push(...checkHistory(tapeId, path));
+    problems.push(...checkProgress(tapeId, saved));
+    problems.push(...DecisionEngine.verifyState().map(problem => `replay: ${problem}`));
+    problems.push(...checkIntroductions());
+    problems.push(...await checkCallbacks());
+  }
+  if (problems.length === 0 && skipBoss) {
+    problems.push(...await skipBattle(skipBoss));
+  }
+
+  const result = {
+    tape: tapeId,
+    seed: game.getSeed(tapeId),
+    difficulty: game.getDifficulty().id,
+    path,
+    ending: game.getEnding().id,
+    stats: game.getStats(),
+    record: game.getTapeProgress(tapeId),
+    warnings: [...engineWarnings],
+    problems
+  };
+
+  for (const condition of expect) {
+    if (!game.check(condition)) problems.push(`expected ${condition}`);
+  }
+  if (ending && result.ending !== ending) {
+    problems.push(`expected ending ${ending}, got ${result.ending}`);
+  }
+
+  return result;
+}
+
+/**
+ * Skip a boss without fighting it; its outcome is recorded through the
+ * boss's decision, as tape3 does when a battle ends
+ */
+async function skipBattle(bossId) {
+  let boss;
+  try {
+    boss = await loadBoss(bossId);
+  } catch (e) {
+    return [e.message];
+  }
+
+  let outcome = null;
+  const idle = () => {};
+  const host = {
+    say: idle, sheepy: idle, acts: idle, lock: idle, halt: idle, resume: idle, update: idle, sound: idle,
+    attack: async () => {},
+    sleep: async () => {},
+    end: async result => { outcome = result; }
+  };
+
+  const battle = new Battle(boss, game, host);
+  if (!battle.canSkip) return [`${bossId} can't be skipped`];
+  try {
+    await battle.skip();
+  } catch (e) {
+    return [`skipping ${bossId} failed: ${e.message}`];
+  }
+  if (boss.decision) game.makeChoice(boss.decision, outcome);
+  return [];
+}
+
+function firstAvailable(decisionId, offered) {
+  if (offered.length === 0) throw new PlaythroughError(`${decisionId}: every option is locked`);
+  return offered[0];
+}
+
+/**
+ * Answer from a list of option ids, in order. A `decision=option` entry
+ * answers only that decision, wherever it comes up. Session choices name
+ * their decision too but stay in order, so a session that drifts out of
+ * step with the script fails loudly instead of answering the wrong question.
+ */
+function scriptedAnswers(choices) {
+  const pinned = new Map();
+  const queue = [];
+
+  for (const choice of choices) {
+    if (typeof choice === 'object') queue.push(choice);
+    else if (choice.includes('=')) pinned.set(...choice.split('='));
+    else queue.push({ decision: null, option: choice });
+  }
+
+  return decisionId => {
+    if (pinned.has(decisionId)) return pinned.get(decisionId);
+
+    const next = queue.shift();
+    if (!next) throw new PlaythroughError(`${decisionId}: no answer left in the scripted choices`);
+    if (next.decision && next.decision !== decisionId) {
+      throw new PlaythroughError(`expected ${next.decision} next but the script presented ${decisionId}`);
+    }
+    return next.option;
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CHECKS
+// ═══════════════════════════════════════════════════════════════════
+
+function checkHistory(tapeId, path) {
+  const made = game.getHistory()
+    .filter(h => h.tape === tapeId && !h.kind)
+    .map(h => `${h.decisionId}/${h.optionId}`);
+  const expected = path.map(p => `${p.decision}/${p.option}`);
+
+  return made.join() === expected.join()
+    ? []
+    : [`history is [${made.join(', ')}], expected [${expected.join(', ')}]`];
+}
+
+/**
+ * What completeTape() should have written, from the engine at save time
+ */
+function expectedRecord(tapeId) {
+  const state = DecisionEngine.getState();
+  return {
+    seed: game.getSeed(tapeId),
+    ...game.getStats(),
+    soil: game.getSoil() || 'barren',
+    flags: [...state.flags, ...state.memories.map(m => m.id), ...state.arcs]
+  };
+}
+
+// Read straight from storage, so this checks what a reload would see
+function checkProgress(tapeId, expected) {
+  if (!expected) return ['tape never saved its progress (run: save)'];
+
+  let envelope;
+  try {
+    envelope = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+  } catch (e) {
+    return [`${PROGRESS_KEY} is not JSON: ${e.message}`];
+  }
+
+  const record = envelope?.data?.[DecisionEngine.activeSlotId]?.[tapeId];
+  if (!record) return [`${PROGRESS_KEY} has no record for ${tapeId}`];
+
+  const problems = [];
+  if (record.complete !== true) problems.push(`${PROGRESS_KEY}.${tapeId} is not marked complete`);
+
+  for (const [key, value] of Object.entries(expected)) {
+    const actual = record[key];
+    const same = Array.isArray(value)
+      ? Array.isArray(actual) && [...actual].sort().join() === [...value].sort().join()
+      : actual === value;
+    if (!same) problems.push(`${PROGRESS_KEY}.${tapeId}.${key} is ${JSON.stringify(actual)}, expected ${JSON.stringify(value)}`);
+  }
+  return problems;
+}
+
+// Soil outranks phase when a tape picks its introduction
+function checkIntroductions() {
+  const soil = game.getSoil();
+  if (!soil) return [];
+
+  return listTapes()
+    .filter(tape => tape.introduction?.[soil] && game.getTapeIntroduction(tape.id) !== tape.introduction[soil])
+    .map(tape => `${tape.id} introduction isn't its ${soil} soil line: ${JSON.stringify(game.getTapeIntroduction(tape.id))}`);
+}
+
+async function checkCallbacks() {
+  const { callbacks } = await loadRelationshipData();
+  return Object.entries(callbacks)
+    .filter(([id, { requires }]) => requires.some(effectId => game.has(effectId)) && !game.getCallback(id))
+    .map(([id]) => `callback ${id} is met but has no line`);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// MANY PATHS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Play every path: each run follows `prefix` and takes the first option
+ * after it; the next prefix advances the last choice that has options left.
+ * Choices the script only reaches on some branches are covered too.
+ */
+async function playAll(tapeId, options) {
+  const results = [];
+  let prefix = [];
+
+  while (prefix) {
+    const picks = [];
+    const counts = [];
+    const result = await playthrough(tapeId, {
+      ...options,
+      answer: (decisionId, offered, index) => {
+        const pick = prefix[index] ?? 0;
+        picks.push(pick);
+        counts.push(offered.length);
+        return offered[pick] ?? firstAvailable(decisionId, offered);
+      }
+    });
+    results.push(result);
+
+    let i = picks.length - 1;
+    while (i >= 0 && picks[i] + 1 >= counts[i]) i--;
+    prefix = i >= 0 ? [...picks.slice(0, i), picks[i] + 1] : null;
+  }
+
+  return results;
+}
+
+async function playSample(tapeId, count, options) {
+  const random = new Random(options.seed).fork('paths');
+  const results = [];
+
+  for (let i = 0; i < count; i++) {
+    results.push(await playthrough(tapeId, {
+      ...options,
+      answer: (decisionId, offered) => random.pick(offered) ?? firstAvailable(decisionId, offered)
+    }));
+  }
+  return results;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REPORTING
+// ═══════════════════════════════════════════════════════════════════
+
+function describePath(result) {
+  return result.path.map(p => p.option).join(' → ') || '(no choices)';
+}
+
+function reportRun(result) {
+  print('──────────────────────────────────────────────────────────────');
+  print(`  ${result.tape}  seed ${result.seed}  ${result.difficulty}`);
+  print('──────────────────────────────────────────────────────────────');
+  result.path.forEach((p, i) => {
+    print(`  ${String(i + 1).padStart(2)}. ${p.decision} → ${p.option}${p.offered.length > 1 ? '' : '  (only option)'}`);
+  });
+  print('');
+  print(`  Stats:   ${Object.entries(result.stats).map(([k, v]) => `${k} ${v}`).join(', ')}`);
+  print(`  Ending:  ${result.ending}`);
+  if (result.record) print(`  Soil:    ${result.record.soil}  (${result.record.flags.length} flags saved)`);
+  result.warnings.forEach(w => print(`  ⚠ ${w}`));
+  print('');
+}
+
+function reportMany(results) {
+  const endings = new Map();
+  results.forEach(r => endings.set(r.ending, (endings.get(r.ending) || 0) + 1));
+
+  print('──────────────────────────────────────────────────────────────');
+  print(`  ${results.length} paths through ${results[0].tape}`);
+  print('──────────────────────────────────────────────────────────────');
+  [...endings].sort((a, b) => b[1] - a[1]).forEach(([id, n]) => {
+    print(`  ${id.padEnd(24)} ${String(n).padStart(6)}  ${(100 * n / results.length).toFixed(1)}%`);
+  });
+  print('');
+}
+
+function reportVerdict(results) {
+  const failed = results.filter(r => r.problems.length > 0);
+
+  if (failed.length > 0) {
+    print('──────────────────────────────────────────────────────────────');
+    print(`  ✗ ${failed.length} FAILED`);
+    print('──────────────────────────────────────────────────────────────');
+    failed.slice(0, MAX_LISTED_FAILURES).forEach((r, i) => {
+      print(`  ${i + 1}. ${describePath(r)}`);
+      r.problems.forEach(problem => print(`     - ${problem}`));
+    });
+    if (failed.length > MAX_LISTED_FAILURES) print(`  ... and ${failed.length - MAX_LISTED_FAILURES} more`);
+    print('');
+  }
+
+  print('══════════════════════════════════════════════════════════════');
+  print(failed.length === 0 ? '  ✓ PLAYTHROUGH PASSED' : '  ✗ PLAYTHROUGH FAILED');
+  print('══════════════════════════════════════════════════════════════');
+  return failed.length === 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// COMMAND LINE
+// ═══════════════════════════════════════════════════════════════════
+
+function parseArgs(argv) {
+  const args = { expect: [] };
+  const valued = ['choices', 'seed', 'difficulty', 'expect', 'ending', 'sample', 'session', 'record', 'skip-boss'];
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].startsWith('--') ? argv[i].slice(2) : null;
+    if (!flag) {
+      args.tape = argv[i];
+    } else if (valued.includes(flag)) {
+      if (i + 1 >= argv.length) throw new Error(`--${flag} needs a value`);
+      const value = argv[++i];
+      if (flag === 'expect') args.expect.push(value);
+      else args[flag] = value;
+    } else if (flag === 'all' || flag === 'verbose') {
+      args[flag] = true;
+    } else {
+      throw new Error(`Unknown option --${flag}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`✗ ${e.message}`);
+    process.exit(2);
+  }
+
+  let session = null;
+  if (args.session) {
+    try {
+      session = JSON.parse(fs.readFileSync(path.resolve(args.session), 'utf-8'));
+    } catch (e) {
+      console.error(`✗ Failed to load session ${args.session}: ${e.message}`);
+      process.exit(2);
+    }
+  }
+
+  const tapeId = args.tape || session?.tape;
+  if (!tapeId) {
+    console.error('Usage: node scripts/playthrough.mjs <tape> [--choices a,b,c | --all | --sample n | --session file]');
+    process.exit(2);
+  }
+  if (!fs.existsSync(path.join(SCRIPT_DIR, `${tapeId}.json`))) {
+    console.error(`✗ ${tapeId} has no script; only scripted tapes (public/data/scripts) can be played headless`);
+    process.exit(2);
+  }
+
+  const options = {
+    seed: args.seed || session?.seed || DEFAULT_SEED,
+    difficulty: args.difficulty || session?.difficulty || 'normal',
+    expect: [...args.expect, ...(session?.expect?.conditions || [])],
+    ending: args.ending || session?.expect?.ending || null,
+    skipBoss: args['skip-boss'] || null
+  };
+
+  print('══════════════════════════════════════════════════════════════');
+  print('  HEADLESS PLAYTHROUGH');
+  print('══════════════════════════════════════════════════════════════\n');
+
+  let results;
+  if (args.all || args.sample) {
+    results = args.all
+      ? await playAll(tapeId, options)
+      : await playSample(tapeId, Number(args.sample), options);
+    reportMany(results);
+  } else {
+    const choices = session?.choices || args.choices?.split(',').map(c => c.trim()).filter(Boolean);
+    const result = await playthrough(tapeId, { ...options, answer: choices ? scriptedAnswers(choices) : firstAvailable });
+
+    if (session?.expect?.stats) {
+      for (const [stat, value] of Object.entries(session.expect.stats)) {
+        if (result.stats[stat] !== value) result.problems.push(`expected ${stat} ${value}, got ${result.stats[stat]}`);
+      }
+    }
+
+    reportRun(result);
+    results = [result];
+
+    if (args.record && result.problems.length > 0) {
+      print(`  Not recording a failed run\n`);
+    } else if (args.record) {
+      const recorded = { ...game.getSession(tapeId), expect: { ending: result.ending, stats: result.stats } };
+      fs.writeFileSync(path.resolve(args.record), JSON.stringify(recorded, null, 2) + '\n');
+      print(`  Recorded session → ${args.record}\n`);
+    }
+  }
+
+  process.exit(reportVerdict(results) ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,511 @@
+#!/usr/bin/env node
+/**
+ * simulate-endings.mjs - Ending reachability
+ *
+ * Run with: node scripts/simulate-endings.mjs [--through <tape>] [--sample <n>] [--seed <seed>]
+ *
+ * Plays every combination of options in decisions.json, tape by tape,
+ * through Replay.applyChoice - the function DecisionEngine applies choices
+ * with - so clamping and decay come out exactly as in the game. Option
+ * gates are honoured. Paths that end up in the same state, as far as any
+ * condition can tell (stats, plus the effects and choices conditions
+ * read), are merged as they go, which keeps the walk small while the path
+ * counts stay exact.
+ *
+ * Reports:
+ * 1. Which ending determineEnding() picks, and on how many paths
+ * 2. Endings no path reaches, with how close each part of their condition
+ *    gets (e.g. the best trust reachable while the rest of it holds)
+ * 3. Options that rule a reachable ending out: no path through them gets there
+ * 4. Endings shadowed by an earlier one in determineEnding()'s ordered
+ *    scan - their condition holds, but an earlier ending wins
+ *
+ * --through <tape> stops after that tape, for endings as they stand then.
+ * --sample <n> plays n random paths instead of all of them; counts become
+ * estimates and options that rule an ending out aren't reported.
+ *
+ * Only the options a tape actually offers are played: ones it never
+ * does (validate-decisions' UNWIRED_OPTION) are left out. Stat changes a
+ * tape makes outside its decisions (tape2's sync minigame) aren't
+ * simulated. Exits 1 if an ending is unreachable or
+ * always shadowed.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { compileCondition, legacyCondition, parseCondition } from '../public/js/engine/Condition.js';
+import { createState, snapshotState, applyChoice } from '../public/js/engine/Replay.js';
+import { phaseFor, defaultPhases } from '../public/js/engine/RelationshipEngine.js';
+import Random from '../public/js/engine/Random.js';
+import { scanTape } from './validate-decisions.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_PATH = path.join(__dirname, '../public/data/decisions.json');
+const TAPES_PATH = path.join(__dirname, '../public/data/tapes.json');
+const RELATIONSHIP_PATH = path.join(__dirname, '../public/data/relationship.json');
+const DEFAULT_ENDING = 'default';
+const READING_FUNCTIONS = ['has', 'flag', 'memory', 'arc'];
+
+// The relationship phase ladder (relationship.json), read by simulate()
+let phases = [];
+
+// ═══════════════════════════════════════════════════════════════════
+// GRAPH
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Decisions in play order: by tape (tapes.json), then as listed
+ */
+function playOrder(data, tapes, through = null) {
+  const last = through ? tapes.indexOf(through) : tapes.length - 1;
+  if (last < 0) throw new Error(`Unknown tape: ${through}`);
+
+  return tapes.slice(0, last + 1).flatMap(tape =>
+    Object.entries(data.decisions || {})
+      .filter(([, decision]) => decision.tape === tape)
+      .map(([id, decision]) => ({ id, ...decision })));
+}
+
+/**
+ * Each decision with only the options its tape offers. A decision whose
+ * tape has no files yet, doesn't present it or offers options the scan
+ * can't resolve keeps all of them. Returns the dropped ones as
+ * `decision/option` too.
+ */
+function wiredOptions(decisions, manifest, data) {
+  const scans = new Map(manifest.map(tape => [tape.id, scanTape(tape, data)]));
+  const dropped = [];
+
+  const wired = decisions.map(decision => {
+    const offered = scans.get(decision.tape)?.decisions.get(decision.id);
+    if (!offered) return decision;
+
+    const [kept, unwired] = partition(decision.options || [], option => offered.has(option.id));
+    unwired.forEach(option => dropped.push(`${decision.id}/${option.id}`));
+    return { ...decision, options: kept };
+  });
+
+  return { decisions: wired, dropped };
+}
+
+function partition(items, test) {
+  const pass = [];
+  const fail = [];
+  items.forEach(item => (test(item) ? pass : fail).push(item));
+  return [pass, fail];
+}
+
+// The same checks DecisionEngine's option gates make, as one condition
+function gateCondition(option) {
+  const parts = [legacyCondition(option), option.when].filter(Boolean);
+  return parts.length ? parts.map(part => `(${part})`).join(' and ') : null;
+}
+
+function compile(source) {
+  return source ? compileCondition(source) : () => true;
+}
+
+/**
+ * Effects and decisions any ending or gate reads: the part of a state
+ * that tells two paths apart
+ */
+function collectReads(data) {
+  const reads = { effects: new Set(), decisions: new Set() };
+  const visit = node => {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        node.items.forEach(visit);
+        break;
+      case 'not':
+        visit(node.item);
+        break;
+      case 'call':
+        if (node.fn === 'chose') reads.decisions.add(node.args[0]);
+        else if (READING_FUNCTIONS.includes(node.fn)) reads.effects.add(node.args[0]);
+        break;
+    }
+  };
+
+  const sources = [
+    ...Object.values(data.endings || {}).map(ending => ending.when ?? legacyCondition(ending)),
+    ...Object.values(data.decisions || {}).flatMap(decision => (decision.options || []).map(gateCondition))
+  ];
+  sources.filter(Boolean).forEach(source => visit(parseCondition(source)));
+  return reads;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SIMULATION
+// ═══════════════════════════════════════════════════════════════════
+
+function hasEffect(state, id) {
+  return state.flags.has(id) || state.arcs.has(id) || state.memories.some(m => m.id === id);
+}
+
+/**
+ * Condition context over a simulated state, matching DecisionEngine's
+ */
+function contextFor({ state, chosen }) {
+  return {
+    stat: name => state.stats[name] || 0,
+    has: id => hasEffect(state, id),
+    flag: id => state.flags.has(id),
+    memory: id => state.memories.some(m => m.id === id),
+    arc: id => state.arcs.has(id),
+    chose: (decisionId, optionId) => chosen.has(decisionId) && (!optionId || chosen.get(decisionId) === optionId),
+    phase: () => phaseFor(state.stats.trust || 0, state.stats.guard || 0, phases),
+    phases: () => phases.map(phase => phase.id)
+  };
+}
+
+function stateKey({ state, chosen }, reads) {
+  const active = [...reads.effects].filter(id => hasEffect(state, id));
+  return JSON.stringify([Object.values(state.stats), active, [...chosen]]);
+}
+
+/**
+ * Take one decision from every node. Returns the next layer, the edges
+ * (from, option, to) between them and the nodes left with no open option.
+ */
+function step(layer, decision, previous, data, reads, gates) {
+  const next = new Map();
+  const edges = [];
+  const stuck = [];
+
+  layer.forEach((node, from) => {
+    const context = contextFor(node);
+    const open = (decision.options || []).filter(option => gates.get(option)(context));
+    if (open.length === 0) {
+      stuck.push(node);
+      return;
+    }
+
+    for (const option of open) {
+      const state = createState(snapshotState(node.state), data.stats);
+      const entry = { decisionId: decision.id, optionId: option.id, tape: decision.tape, timestamp: 0 };
+      applyChoice(state, entry, 0, data, [], previous);
+
+      const chosen = reads.decisions.has(decision.id) ? new Map(node.chosen).set(decision.id, option.id) : node.chosen;
+      const child = { state, chosen, count: node.count, path: [...node.path, `${decision.id}/${option.id}`] };
+      const key = stateKey(child, reads);
+
+      if (next.has(key)) next.get(key).count += node.count;
+      else next.set(key, { ...child, index: next.size });
+      edges.push({ from, option: option.id, to: next.get(key).index });
+    }
+  });
+
+  return { layer: [...next.values()], edges, stuck };
+}
+
+/**
+ * Every path, merged by state. Returns the final layer plus what the
+ * option analysis needs.
+ */
+function simulateAll(decisions, data, reads, gates) {
+  let layer = [{ state: createState(null, data.stats), chosen: new Map(), count: 1, path: [] }];
+  const layers = [layer];
+  const edges = [];
+  const stuck = [];
+
+  decisions.forEach((decision, i) => {
+    const previous = i > 0 ? { tape: decisions[i - 1].tape } : null;
+    const result = step(layer, decision, previous, data, reads, gates);
+    result.stuck.forEach(node => stuck.push({ decision: decision.id, count: node.count, path: node.path }));
+    layer = result.layer;
+    layers.push(layer);
+    edges.push(result.edges);
+  });
+
+  return { finals: layer, layers, edges, stuck };
+}
+
+/**
+ * `count` random paths, merged by state like the full walk
+ */
+function simulateSample(decisions, data, reads, gates, count, seed) {
+  const random = new Random(seed).fork('paths');
+  const finals = new Map();
+  const stuck = [];
+
+  for (let n = 0; n < count; n++) {
+    let node = { state: createState(null, data.stats), chosen: new Map(), count: 1, path: [] };
+
+    for (const [i, decision] of decisions.entries()) {
+      const context = contextFor(node);
+      const open = (decision.options || []).filter(option => gates.get(option)(context));
+      if (open.length === 0) {
+        stuck.push({ decision: decision.id, count: 1, path: node.path });
+        node = null;
+        break;
+      }
+
+      const option = random.pick(open);
+      const entry = { decisionId: decision.id, optionId: option.id, tape: decision.tape, timestamp: 0 };
+      applyChoice(node.state, entry, 0, data, [], i > 0 ? { tape: decisions[i - 1].tape } : null);
+      if (reads.decisions.has(decision.id)) node.chosen = new Map(node.chosen).set(decision.id, option.id);
+      node.path.push(`${decision.id}/${option.id}`);
+    }
+
+    if (!node) continue;
+    const key = stateKey(node, reads);
+    if (finals.has(key)) finals.get(key).count++;
+    else finals.set(key, node);
+  }
+
+  return { finals: [...finals.values()], stuck };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// ANALYSIS
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Run determineEnding()'s ordered scan on every final state
+ */
+function scoreEndings(finals, endings) {
+  const score = Object.fromEntries([...endings.map(e => e.id), DEFAULT_ENDING].map(id => [id, {
+    wins: 0, holds: 0, shadowedBy: {}, example: null
+  }]));
+
+  for (const node of finals) {
+    node.context = contextFor(node);
+    const holding = endings.filter(ending => ending.test(node.context));
+    node.ending = holding[0]?.id ?? DEFAULT_ENDING;
+
+    const winner = score[node.ending];
+    winner.wins += node.count;
+    winner.example ??= node.path;
+
+    for (const ending of holding) {
+      const entry = score[ending.id];
+      entry.holds += node.count;
+      if (ending.id !== node.ending) {
+        entry.shadowedBy[node.ending] = (entry.shadowedBy[node.ending] || 0) + node.count;
+      }
+    }
+  }
+
+  score[DEFAULT_ENDING].holds = score[DEFAULT_ENDING].wins;
+  return score;
+}
+
+/**
+ * Why an ending never holds: each part of its condition on its own, and
+ * for a stat threshold the best value reached while the other parts hold
+ */
+function explainUnreachable(ending, finals) {
+  const ast = parseCondition(ending.source);
+  const parts = ast.type === 'and' ? ast.items : [ast];
+
+  return parts.map(part => {
+    const test = compileCondition(part);
+    const others = parts.filter(p => p !== part).map(p => compileCondition(p));
+    const text = describeNode(part);
+
+    if (!finals.some(node => test(node.context))) {
+      return `${text} - never holds`;
+    }
+    if (part.type !== 'compare' || part.subject === 'phase' || typeof part.value !== 'number' || others.length === 0) {
+      return `${text} - holds on some paths`;
+    }
+
+    const rest = finals.filter(node => others.every(other => other(node.context)));
+    if (rest.length === 0) return `${text} - holds, but never with the rest of the condition`;
+
+    const values = rest.map(node => node.context.stat(part.subject));
+    const best = part.op.startsWith('>') ? Math.max(...values) : Math.min(...values);
+    return `${text} - best ${part.subject} while the rest holds is ${best}`;
+  });
+}
+
+function describeNode(node) {
+  switch (node.type) {
+    case 'and': return node.items.map(describeNode).join(' and ');
+    case 'or': return `(${node.items.map(describeNode).join(' or ')})`;
+    case 'not': return `not ${describeNode(node.item)}`;
+    case 'literal': return String(node.value);
+    case 'compare': return `${node.subject} ${node.op} ${node.value}`;
+    default: return node.bare ? node.args[0] : `${node.fn}(${node.args.join(', ')})`;
+  }
+}
+
+/**
+ * For each ending, the options no path through reaches it with. Walks the
+ * merged layers backwards marking nodes that can still end there.
+ */
+function findRulingOptions(endingId, { layers, edges }, decisions) {
+  let reaches = layers.at(-1).map(node => node.ending === endingId);
+  const ruling = [];
+
+  for (let i = edges.length - 1; i >= 0; i--) {
+    const offered = new Set();
+    const useful = new Set();
+    const before = new Array(layers[i].length).fill(false);
+
+    for (const edge of edges[i]) {
+      offered.add(edge.option);
+      if (reaches[edge.to]) {
+        useful.add(edge.option);
+        before[edge.from] = true;
+      }
+    }
+
+    for (const option of offered) {
+      if (!useful.has(option)) ruling.unshift(`${decisions[i].id}/${option}`);
+    }
+    reaches = before;
+  }
+
+  return ruling;
+}
+
+function statRanges(finals, data) {
+  return Object.keys(data.stats || {}).map(stat => {
+    const values = finals.map(node => node.state.stats[stat]);
+    return { stat, min: Math.min(...values), max: Math.max(...values) };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════════════
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (!['through', 'sample', 'seed'].includes(flag) || i + 1 >= argv.length) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    args[flag] = argv[++i];
+  }
+  return args;
+}
+
+function percent(part, total) {
+  return `${(100 * part / total).toFixed(1)}%`.padStart(6);
+}
+
+function simulate(jsonPath) {
+  let args;
+  let data;
+  let tapes;
+  let manifest;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    data = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+    manifest = JSON.parse(fs.readFileSync(TAPES_PATH, 'utf-8')).tapes;
+    tapes = manifest.map(tape => tape.id);
+    phases = defaultPhases(JSON.parse(fs.readFileSync(RELATIONSHIP_PATH, 'utf-8')));
+  } catch (e) {
+    console.error('✗ FATAL:', e.message);
+    process.exit(2);
+  }
+
+  console.log('══════════════════════════════════════════════════════════════');
+  console.log('  ENDING REACHABILITY');
+  console.log('══════════════════════════════════════════════════════════════\n');
+
+  const { decisions, dropped } = wiredOptions(playOrder(data, tapes, args.through), manifest, data);
+  const reads = collectReads(data);
+  const gates = new Map(decisions.flatMap(d => (d.options || []).map(option => [option, compile(gateCondition(option))])));
+  const endings = Object.entries(data.endings || {}).map(([id, ending]) => {
+    const source = ending.when ?? legacyCondition(ending);
+    return { id, source, test: compile(source) };
+  });
+
+  const sampled = args.sample !== undefined;
+  const result = sampled
+    ? simulateSample(decisions, data, reads, gates, Number(args.sample), args.seed || 'simulate')
+    : simulateAll(decisions, data, reads, gates);
+  const { finals, stuck } = result;
+  const total = finals.reduce((sum, node) => sum + node.count, 0);
+  const score = scoreEndings(finals, endings);
+
+  const problems = [];
+  const notes = [];
+
+  console.log(`  Decisions:    ${decisions.length} (${[...new Set(decisions.map(d => d.tape))].join(', ')})`);
+  console.log(`  Paths:        ${total.toLocaleString('en-US')}${sampled ? ' sampled' : ''}`);
+  console.log(`  End states:   ${finals.length} distinct`);
+  if (dropped.length > 0) console.log(`  Left out:     ${dropped.join(', ')} (no tape offers ${dropped.length === 1 ? 'it' : 'them'})`);
+  console.log('');
+
+  console.log('────────────────────────────────────────────────────────────────');
+  console.log('  STATS AT THE END');
+  console.log('────────────────────────────────────────────────────────────────');
+  for (const { stat, min, max } of statRanges(finals, data)) {
+    console.log(`  ${stat.padEnd(16)} ${min} - ${max}`);
+  }
+  console.log('');
+
+  console.log('────────────────────────────────────────────────────────────────');
+  console.log('  ENDINGS (in determineEnding order)');
+  console.log('────────────────────────────────────────────────────────────────');
+  for (const ending of [...endings, { id: DEFAULT_ENDING, source: null }]) {
+    const { wins, holds, shadowedBy, example } = score[ending.id];
+    console.log(`  ${ending.id.padEnd(24)} ${String(wins).padStart(10)} ${percent(wins, total)}   ${ending.source || '(nothing else holds)'}`);
+
+    if (holds === 0 && ending.id !== DEFAULT_ENDING) {
+      problems.push({ type: 'unreachable', message: `${ending.id} is never reached`, details: explainUnreachable(ending, finals) });
+      continue;
+    }
+
+    const shadowed = Object.entries(shadowedBy);
+    if (shadowed.length > 0) {
+      const by = shadowed.map(([id, n]) => `${id} on ${n}`).join(', ');
+      if (wins === 0) problems.push({ type: 'shadowed', message: `${ending.id} holds on ${holds} paths but always loses to an earlier ending (${by})` });
+      else notes.push({ type: 'shadowed', message: `${ending.id} holds on ${holds} paths, loses ${holds - wins} to ${by}` });
+    }
+
+    if (example && wins > 0) console.log(`  ${''.padEnd(24)} e.g. ${example.map(p => p.split('/')[1]).join(' → ')}`);
+  }
+  console.log('');
+
+  if (!sampled) {
+    for (const ending of endings) {
+      if (score[ending.id].wins === 0) continue;
+      const ruling = findRulingOptions(ending.id, result, decisions);
+      if (ruling.length > 0) notes.push({ type: 'rules out', message: `${ending.id} can't be reached after: ${ruling.join(', ')}` });
+    }
+  }
+
+  for (const entry of stuck) {
+    problems.push({ type: 'stuck', message: `${entry.count} paths reach ${entry.decision} with every option locked, e.g. after ${entry.path.join(' → ') || 'no choices'}` });
+  }
+
+  if (notes.length > 0) {
+    console.log('────────────────────────────────────────────────────────────────');
+    console.log('  ℹ NOTES');
+    console.log('────────────────────────────────────────────────────────────────');
+    notes.forEach((n, i) => console.log(`  ${i + 1}. [${n.type}] ${n.message}`));
+    console.log('');
+  }
+
+  if (problems.length > 0) {
+    console.log('────────────────────────────────────────────────────────────────');
+    console.log('  ✗ PROBLEMS');
+    console.log('────────────────────────────────────────────────────────────────');
+    problems.forEach((p, i) => {
+      console.log(`  ${i + 1}. [${p.type}] ${p.message}`);
+      (p.details || []).forEach(detail => console.log(`       ${detail}`));
+    });
+    console.log('');
+  }
+
+  console.log('══════════════════════════════════════════════════════════════');
+  if (problems.length === 0) {
+    console.log('  ✓ EVERY ENDING IS REACHABLE');
+    console.log('══════════════════════════════════════════════════════════════');
+    process.exit(0);
+  } else {
+    console.log('  ✗ SIMULATION FOUND PROBLEMS');
+    console.log('══════════════════════════════════════════════════════════════');
+    process.exit(1);
+  }
+}
+
+simulate(DATA_PATH);
@@ -9,14 +9,42 @@
  * 2. Every decision has at least one option with unique effects
  * 3. No broken references (effects/decisions that don't exist)
  * 4. Tape ordering is valid (no backwards dependencies)
+ * 5. Option gates (requires/excludes/min_<stat>/max_<stat>) can be met
+ * 6. Every condition expression parses and type-checks
+ * 7. Declared stats have sane bounds, defaults and decay, and every stat
+ *    effect targets one of them
+ * 8. The tapes (tapeN.html, public/data/scripts/tapeN.json and any boss in
+ *    public/data/bosses/ fought there) only use decisions, options and
+ *    effects the graph declares, and everything the graph says a tape
+ *    presents or checks is actually wired up there
+ * 9. The tape manifest (public/data/tapes.json) is complete, each tape only
+ *    requires tapes before it, its title matches the tape's page and its
+ *    endings each have an id, a title and a gallery hint
+ * 10. The relationship data (public/data/relationship.json) has a default
+ *    character whose phases (the ones conditions name) have unique ids; every
+ *    character reads declared stats and has ordered phases and tones; and
+ *    every milestone, counter and callback points at real effects and tapes
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { analyzeCondition, legacyCondition } from '../public/js/engine/Condition.js';
+import { BATTLE_STATS, OUTCOMES } from '../public/js/engine/BattleEngine.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_PATH = path.join(__dirname, '../public/data/decisions.json');
+const ROOT = path.join(__dirname, '..');
+const DATA_PATH = path.join(ROOT, 'public/data/decisions.json');
+const TAPES_PATH = path.join(ROOT, 'public/data/tapes.json');
+const RELATIONSHIP_PATH = path.join(ROOT, 'public/data/relationship.json');
+const BOSS_DIR = path.join(ROOT, 'public/data/bosses');
+const STAT_GATE = /^(min|max)_(\w+)$/;
+const DECAY_PERIODS = ['tape', 'choice'];
+
+// GameEngine helpers that read effects on a tape's behalf
+const ENGINE_READS = {
+  getSoil: ['e_soil_rich', 'e_soil_rocky', 'e_soil_barren']
+};
 
 function validate(jsonPath) {
   console.log('══════════════════════════════════════════════════════════════');
@@ -33,10 +61,35 @@ function validate(jsonPath) {
     process.exit(1);
   }
   
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(TAPES_PATH, 'utf-8'));
+  } catch (e) {
+    console.error('✗ FATAL: Failed to load tapes.json:', e.message);
+    process.exit(1);
+  }
+  
+  let relationship;
+  try {
+    relationship = JSON.parse(fs.readFileSync(RELATIONSHIP_PATH, 'utf-8'));
+  } catch (e) {
+    console.error('✗ FATAL: Failed to load relationship.json:', e.message);
+    process.exit(1);
+  }
+  
   const decisions = data.decisions || {};
   const effects = data.effects || {};
   const consumers = data.consumers || {};
-  const tapeOrder = data.meta?.tapes || [];
+  const tapeList = Array.isArray(manifest.tapes) ? manifest.tapes : [];
+  const tapeOrder = tapeList.map(tape => tape.id);
+  // Conditions may also ask about endings the tapes record and the
+  // default character's phases
+  const graph = {
+    ...data,
+    tapeEndings: [...new Set(tapeList.flatMap(tape => (tape.endings || []).map(ending => ending.id)))],
+    phases: (relationship.characters?.[relationship.defaultCharacter]?.phases || []).map(phase => phase.id)
+  };
+  const declaredStats = new Set(Object.keys(data.stats || {}));
   
   const errors = [];
   const warnings = [];
@@ -78,6 +131,29 @@ function validate(jsonPath) {
     }
   }
   
+  // Option gates read effects too, so they count as consumers
+  for (const [decId, decision] of Object.entries(decisions)) {
+    for (const option of decision.options || []) {
+      for (const effectId of [...(option.requires || []), ...(option.excludes || [])]) {
+        if (!consumedEffects.has(effectId)) {
+          consumedEffects.set(effectId, []);
+        }
+        consumedEffects.get(effectId).push(`${decId}.${option.id}`);
+      }
+    }
+  }
+  
+  // So do condition expressions (endings, option and consumer `when`)
+  const conditions = collectConditions(data, tapeList).map(c => ({ ...c, ...analyzeCondition(c.source, graph) }));
+  for (const { where, effects: read } of conditions) {
+    for (const effectId of read) {
+      if (!consumedEffects.has(effectId)) {
+        consumedEffects.set(effectId, []);
+      }
+      consumedEffects.get(effectId).push(where);
+    }
+  }
+  
   // ─── CHECK 3: Broken references ───
   console.log('Checking for broken references...');
   
@@ -217,6 +293,387 @@ function validate(jsonPath) {
     }
   }
   
+  // ─── CHECK 8: Option gates ───
+  console.log('Checking option gates...');
+  
+  for (const [decId, decision] of Object.entries(decisions)) {
+    const options = decision.options || [];
+    let gatedCount = 0;
+    
+    for (const option of options) {
+      const where = `Decision "${decId}" option "${option.id}"`;
+      const requires = option.requires || [];
+      const excludes = option.excludes || [];
+      const bounds = {};
+      let gated = requires.length > 0 || excludes.length > 0;
+      
+      for (const key of ['requires', 'excludes']) {
+        if (option[key] !== undefined && !Array.isArray(option[key])) {
+          errors.push({ type: 'INVALID_GATE', message: `${where} "${key}" must be an array of effect IDs`, severity: 'error' });
+        }
+      }
+      
+      for (const effectId of [...requires, ...excludes]) {
+        if (!allEffectIds.has(effectId)) {
+          errors.push({ type: 'BROKEN_GATE_REFERENCE', message: `${where} gates on non-existent effect "${effectId}"`, severity: 'error' });
+          stats.broken++;
+        }
+      }
+      
+      for (const effectId of requires) {
+        if (excludes.includes(effectId)) {
+          errors.push({ type: 'IMPOSSIBLE_OPTION', message: `${where} both requires and excludes "${effectId}"`, severity: 'error' });
+        }
+        
+        // A required effect has to be producible before this decision comes up
+        const producers = (producedEffects.get(effectId) || []).filter(p => p !== decId);
+        const earlier = producers.filter(p => (tapeIndex[decisions[p].tape] ?? 0) <= (tapeIndex[decision.tape] ?? Infinity));
+        if (allEffectIds.has(effectId) && earlier.length === 0) {
+          warnings.push({
+            type: 'UNREACHABLE_OPTION',
+            message: `${where} requires "${effectId}", which no earlier decision produces`,
+            severity: 'warning'
+          });
+        }
+      }
+      
+      for (const [key, limit] of Object.entries(option)) {
+        const gate = STAT_GATE.exec(key);
+        if (!gate) continue;
+        gated = true;
+        
+        const [, bound, stat] = gate;
+        if (!declaredStats.has(stat)) {
+          errors.push({ type: 'UNKNOWN_STAT', message: `${where} "${key}" refers to undeclared stat "${stat}"`, severity: 'error' });
+        }
+        if (typeof limit !== 'number') {
+          errors.push({ type: 'INVALID_GATE', message: `${where} "${key}" must be a number`, severity: 'error' });
+        }
+        (bounds[stat] ||= {})[bound] = limit;
+      }
+      
+      for (const [stat, { min, max }] of Object.entries(bounds)) {
+        if (min !== undefined && max !== undefined && min > max) {
+          errors.push({ type: 'IMPOSSIBLE_OPTION', message: `${where} needs ${stat} >= ${min} and <= ${max}`, severity: 'error' });
+        }
+      }
+      
+      if (gated) gatedCount++;
+    }
+    
+    if (options.length > 0 && gatedCount === options.length) {
+      warnings.push({
+        type: 'SOFT_LOCK',
+        message: `Decision "${decId}" gates every option; the player can be left with nothing to pick`,
+        severity: 'warning',
+        decisionId: decId
+      });
+    }
+  }
+  
+  // ─── CHECK 9: Condition expressions ───
+  console.log('Checking condition expressions...');
+  
+  for (const { where, source, errors: problems } of conditions) {
+    for (const problem of problems) {
+      errors.push({
+        type: 'INVALID_CONDITION',
+        message: `${where} condition "${source}": ${problem}`,
+        severity: 'error'
+      });
+    }
+  }
+  
+  // ─── CHECK 10: Stat declarations ───
+  console.log('Checking stat declarations...');
+  
+  for (const [statName, def] of Object.entries(data.stats || {})) {
+    const where = `Stat "${statName}"`;
+    const { min = 0, max = 100 } = def;
+    const fail = message => errors.push({ type: 'INVALID_STAT', message: `${where} ${message}`, severity: 'error' });
+    
+    if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+      fail(`has bounds min ${JSON.stringify(min)} / max ${JSON.stringify(max)}`);
+      continue;
+    }
+    if (def.default !== undefined && (typeof def.default !== 'number' || def.default < min || def.default > max)) {
+      fail(`default ${JSON.stringify(def.default)} is outside ${min}..${max}`);
+    }
+    if (def.decay !== undefined) {
+      const { amount, per } = def.decay || {};
+      if (typeof amount !== 'number' || amount <= 0) fail(`decay amount must be a positive number`);
+      if (!DECAY_PERIODS.includes(per)) fail(`decay "per" must be one of ${DECAY_PERIODS.join(', ')}`);
+    }
+  }
+  
+  for (const [effectId, effect] of Object.entries(effects)) {
+    if (effect.type !== 'stat') continue;
+    if (!declaredStats.has(effect.stat)) {
+      errors.push({
+        type: 'UNKNOWN_STAT',
+        message: `Effect "${effectId}" changes undeclared stat "${effect.stat}"`,
+        severity: 'error'
+      });
+    } else if (typeof effect.delta !== 'number') {
+      errors.push({
+        type: 'INVALID_STAT',
+        message: `Effect "${effectId}" needs a numeric delta`,
+        severity: 'error'
+      });
+    }
+  }
+  
+  // ─── CHECK 11: Tape wiring ───
+  console.log('Checking tapes against the graph...');
+  
+  const tapes = new Map();
+  for (const entry of tapeList) {
+    const scan = scanTape(entry, graph);
+    if (scan) tapes.set(entry.id, scan);
+  }
+  
+  for (const [tapeId, tape] of tapes) {
+    const where = `Tape "${tapeId}" (${tape.files.join(', ')})`;
+    
+    const declaredName = tapeList.find(entry => entry.id === tapeId).title;
+    if (declaredName && tape.title && !tape.title.toUpperCase().startsWith(declaredName.toUpperCase())) {
+      warnings.push({
+        type: 'TAPE_NAME_MISMATCH',
+        message: `${where} is titled "${tape.title}" but tapes.json calls it "${declaredName}"`,
+        severity: 'warning'
+      });
+    }
+    
+    for (const [decId, optionIds] of tape.decisions) {
+      const decision = decisions[decId];
+      if (!decision) {
+        errors.push({ type: 'TAPE_UNKNOWN_DECISION', message: `${where} presents undeclared decision "${decId}"`, severity: 'error' });
+        continue;
+      }
+      if (decision.tape !== tapeId) {
+        warnings.push({
+          type: 'TAPE_MISMATCH',
+          message: `${where} presents "${decId}", which decisions.json assigns to ${decision.tape}`,
+          severity: 'warning'
+        });
+      }
+      
+      // null: the option comes from a variable the scan couldn't resolve
+      if (!optionIds) continue;
+      const declaredOptions = new Set((decision.options || []).map(o => o.id));
+      for (const optionId of optionIds) {
+        if (!declaredOptions.has(optionId)) {
+          errors.push({
+            type: 'TAPE_UNKNOWN_OPTION',
+            message: `${where} offers "${optionId}" for "${decId}", which has no such option`,
+            severity: 'error'
+          });
+        }
+      }
+      for (const optionId of declaredOptions) {
+        if (!optionIds.has(optionId)) {
+          warnings.push({
+            type: 'UNWIRED_OPTION',
+            message: `Option "${optionId}" of "${decId}" is declared but ${tapeId} never offers it`,
+            severity: 'warning'
+          });
+        }
+      }
+    }
+    
+    for (const effectId of tape.effects) {
+      if (!allEffectIds.has(effectId)) {
+        errors.push({ type: 'TAPE_UNKNOWN_EFFECT', message: `${where} checks undeclared effect "${effectId}"`, severity: 'error' });
+      }
+    }
+    
+    for (const { source, errors: problems } of tape.conditions) {
+      for (const problem of problems) {
+        errors.push({ type: 'INVALID_CONDITION', message: `${where} condition "${source}": ${problem}`, severity: 'error' });
+      }
+    }
+  }
+  
+  // Declared against a tape that exists, but the tape never uses it
+  for (const [decId, decision] of Object.entries(decisions)) {
+    const tape = tapes.get(decision.tape);
+    if (tape && !tape.decisions.has(decId)) {
+      warnings.push({
+        type: 'UNWIRED_DECISION',
+        message: `Decision "${decId}" belongs to ${decision.tape}, but the tape never presents it`,
+        severity: 'warning'
+      });
+    }
+  }
+  for (const [consumerId, consumer] of Object.entries(consumers)) {
+    const tape = tapes.get(consumer.tape);
+    if (!tape) continue;
+    const unchecked = (consumer.checks || []).filter(id => !tape.effects.has(id));
+    if (unchecked.length > 0) {
+      warnings.push({
+        type: 'UNWIRED_CONSUMER',
+        message: `Consumer "${consumerId}" says ${consumer.tape} checks [${unchecked.join(', ')}], but the tape never does`,
+        severity: 'warning'
+      });
+    }
+  }
+  
+  // ─── CHECK 12: Tape manifest ───
+  console.log('Checking the tape manifest...');
+  
+  const listed = new Set();
+  for (const tape of tapeList) {
+    const where = `tapes.json "${tape.id}"`;
+    if (listed.has(tape.id)) {
+      errors.push({ type: 'DUPLICATE_TAPE', message: `${where} is listed twice`, severity: 'error' });
+    }
+    for (const field of ['id', 'title', 'file']) {
+      if (typeof tape[field] !== 'string' || !tape[field]) {
+        errors.push({ type: 'INVALID_TAPE', message: `${where} needs a "${field}"`, severity: 'error' });
+      }
+    }
+    for (const required of tape.requires || []) {
+      if (!listed.has(required)) {
+        errors.push({
+          type: 'TAPE_REQUIREMENT',
+          message: tapeOrder.includes(required)
+            ? `${where} requires "${required}", which comes after it`
+            : `${where} requires unknown tape "${required}"`,
+          severity: 'error'
+        });
+      }
+    }
+    if (tape.file && !tape.locked && !fs.existsSync(path.join(ROOT, tape.file))) {
+      errors.push({ type: 'MISSING_TAPE_FILE', message: `${where} is playable but ${tape.file} doesn't exist`, severity: 'error' });
+    }
+    // The gallery lists every ending by id, title and hint
+    const endingIds = new Set();
+    for (const ending of tape.endings || []) {
+      if (typeof ending?.id !== 'string' || !ending.title) {
+        errors.push({ type: 'INVALID_TAPE', message: `${where} has an ending without an id and title`, severity: 'error' });
+      } else if (endingIds.has(ending.id)) {
+        errors.push({ type: 'DUPLICATE_ENDING', message: `${where} lists ending "${ending.id}" twice`, severity: 'error' });
+      } else if (!ending.hint) {
+        warnings.push({ type: 'ENDING_HINT', message: `${where} ending "${ending.id}" has no gallery hint`, severity: 'warning' });
+      }
+      endingIds.add(ending?.id);
+    }
+    listed.add(tape.id);
+  }
+  
+  for (const [decId, decision] of Object.entries(decisions)) {
+    if (!listed.has(decision.tape)) {
+      warnings.push({
+        type: 'UNKNOWN_TAPE',
+        message: `Decision "${decId}" belongs to "${decision.tape}", which tapes.json doesn't list`,
+        severity: 'warning'
+      });
+    }
+  }
+  
+  // ─── CHECK 13: Relationship data ───
+  console.log('Checking the relationship data...');
+  
+  const checkEffects = (where, ids) => {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      errors.push({ type: 'INVALID_RELATIONSHIP', message: `${where} lists no effects`, severity: 'error' });
+      return;
+    }
+    for (const effectId of ids) {
+      if (!effects[effectId]) {
+        errors.push({ type: 'BROKEN_REF', message: `${where} references undefined effect "${effectId}"`, severity: 'error' });
+      }
+    }
+  };
+  
+  // Phases and tones are both `from` ladders: non-empty, rising after the first step
+  const checkLadder = (where, ladder) => {
+    if (!Array.isArray(ladder) || ladder.length === 0) {
+      errors.push({ type: 'INVALID_PHASES', message: `${where} is empty`, severity: 'error' });
+      return;
+    }
+    ladder.forEach((step, i) => {
+      if (i === 0) return;
+      const previous = ladder[i - 1].from ?? -Infinity;
+      if (typeof step.from !== 'number' || step.from <= previous) {
+        errors.push({
+          type: 'INVALID_PHASES',
+          message: `${where} step ${step.id ? `"${step.id}"` : i} needs a "from" above the step before it`,
+          severity: 'error'
+        });
+      }
+    });
+  };
+  
+  const characters = relationship.characters || {};
+  const defaultCharacter = characters[relationship.defaultCharacter];
+  if (!defaultCharacter) {
+    errors.push({
+      type: 'INVALID_RELATIONSHIP',
+      message: `relationship.json defaultCharacter "${relationship.defaultCharacter}" is not one of its characters`,
+      severity: 'error'
+    });
+  } else {
+    // Conditions name the default character's phases, so each needs its own id
+    const phaseIds = (defaultCharacter.phases || []).map(phase => phase.id);
+    if (phaseIds.some(id => !id) || new Set(phaseIds).size !== phaseIds.length) {
+      errors.push({
+        type: 'INVALID_PHASES',
+        message: `Character "${relationship.defaultCharacter}" phases need unique ids, got [${phaseIds.join(', ')}]`,
+        severity: 'error'
+      });
+    }
+  }
+  
+  for (const [characterId, character] of Object.entries(characters)) {
+    const where = `Character "${characterId}"`;
+    if (!character.name) {
+      errors.push({ type: 'INVALID_RELATIONSHIP', message: `${where} needs a "name"`, severity: 'error' });
+    }
+    for (const [role, stat] of Object.entries(character.stats || {})) {
+      if (role !== 'trust' && role !== 'guard') {
+        errors.push({ type: 'INVALID_RELATIONSHIP', message: `${where} stats role "${role}" must be trust or guard`, severity: 'error' });
+      } else if (!declaredStats.has(stat)) {
+        errors.push({ type: 'UNKNOWN_STAT', message: `${where} reads ${role} from undeclared stat "${stat}"`, severity: 'error' });
+      }
+    }
+    checkLadder(`${where} phases`, character.phases);
+    checkLadder(`${where} tones`, character.tones);
+    
+    for (const [milestoneId, milestone] of Object.entries(character.milestones || {})) {
+      const milestoneWhere = `${where} milestone "${milestoneId}"`;
+      checkEffects(milestoneWhere, milestone.threshold?.any ?? milestone.threshold?.all);
+      if (!milestone.description) {
+        errors.push({ type: 'INVALID_RELATIONSHIP', message: `${milestoneWhere} needs a "description"`, severity: 'error' });
+      }
+    }
+  }
+  
+  for (const [counter, { effects: counted } = {}] of Object.entries(relationship.counters || {})) {
+    checkEffects(`Counter "${counter}"`, counted);
+  }
+  
+  const callbacks = relationship.callbacks || {};
+  for (const [callbackId, callback] of Object.entries(callbacks)) {
+    const where = `Callback "${callbackId}"`;
+    checkEffects(where, callback.requires);
+    if (callback.variants) checkEffects(`${where} variants`, Object.keys(callback.variants));
+    else if (!callback.text) {
+      errors.push({ type: 'INVALID_RELATIONSHIP', message: `${where} has neither "text" nor "variants"`, severity: 'error' });
+    }
+  }
+  
+  for (const [tapeId, ids] of Object.entries(relationship.tapeCallbacks || {})) {
+    if (!tapeOrder.includes(tapeId)) {
+      errors.push({ type: 'BROKEN_REF', message: `relationship.json tapeCallbacks lists unknown tape "${tapeId}"`, severity: 'error' });
+    }
+    for (const callbackId of ids) {
+      if (!callbacks[callbackId]) {
+        errors.push({ type: 'BROKEN_REF', message: `relationship.json tapeCallbacks.${tapeId} references undefined callback "${callbackId}"`, severity: 'error' });
+      }
+    }
+  }
+  
   // ─── REPORT ───
   console.log('\n────────────────────────────────────────────────────────────────');
   console.log('  STATISTICS');
@@ -267,6 +724,163 @@ function validate(jsonPath) {
   }
 }
 
+/**
+ * Every condition expression in the graph and the tape manifest, with
+ * where it came from
+ */
+function collectConditions(data, tapeList = []) {
+  const found = [];
+  
+  for (const [endingId, ending] of Object.entries(data.endings || {})) {
+    const source = ending.when ?? legacyCondition(ending);
+    if (source) found.push({ where: `Ending "${endingId}"`, source });
+  }
+  for (const [decId, decision] of Object.entries(data.decisions || {})) {
+    for (const option of decision.options || []) {
+      if (option.when) found.push({ where: `Decision "${decId}" option "${option.id}"`, source: option.when });
+    }
+  }
+  for (const [consumerId, consumer] of Object.entries(data.consumers || {})) {
+    if (consumer.when) found.push({ where: `Consumer "${consumerId}"`, source: consumer.when });
+  }
+  for (const tape of tapeList) {
+    if (tape.unlock) found.push({ where: `Tape "${tape.id}" unlock`, source: tape.unlock });
+  }
+  
+  return found;
+}
+
+/**
+ * Statically scan a tape - its HTML, its script and its bosses - for the
+ * decisions it presents and the effects it checks. Returns null when the
+ * tape has no files yet.
+ *
+ *   { files, title, decisions: Map<decisionId, Set<optionId> | null>,
+ *     effects: Set<effectId>, conditions: [{ source, errors }] }
+ */
+function scanTape(tape, data) {
+  const tapeId = tape.id;
+  const htmlPath = path.join(ROOT, tape.file || `${tapeId}.html`);
+  const scriptPath = path.join(ROOT, 'public/data/scripts', `${tapeId}.json`);
+  const bosses = fs.existsSync(BOSS_DIR)
+    ? fs.readdirSync(BOSS_DIR).filter(f => f.endsWith('.json')).map(f => path.join(BOSS_DIR, f))
+      .map(file => ({ file, boss: JSON.parse(fs.readFileSync(file, 'utf-8')) }))
+      .filter(({ boss }) => boss.tape === tapeId)
+    : [];
+  const files = [htmlPath, scriptPath].filter(f => fs.existsSync(f)).concat(bosses.map(b => b.file));
+  if (files.length === 0) return null;
+  
+  const scan = {
+    files: files.map(f => path.relative(ROOT, f)),
+    title: null,
+    decisions: new Map(),
+    effects: new Set(),
+    conditions: []
+  };
+  const offer = (decId, optionIds) => {
+    if (!scan.decisions.has(decId)) scan.decisions.set(decId, new Set());
+    const known = scan.decisions.get(decId);
+    if (known === null) return;
+    if (optionIds === null) scan.decisions.set(decId, null);
+    else optionIds.forEach(id => known.add(id));
+  };
+  const readCondition = (source, graph = data) => {
+    const result = analyzeCondition(source, graph);
+    scan.conditions.push({ source, errors: result.errors });
+    result.effects.forEach(id => scan.effects.add(id));
+  };
+  
+  if (fs.existsSync(htmlPath)) {
+    const html = fs.readFileSync(htmlPath, 'utf-8');
+    scan.title = /<title>([^<]*)/.exec(html)?.[1].trim() || null;
+    
+    // choose('d_x', [{ id: 'a', ... }, ...])
+    for (const match of html.matchAll(/\bchoose\(\s*'(\w+)'\s*,\s*\[/g)) {
+      const list = bracketed(html, match.index + match[0].length - 1);
+      offer(match[1], [...list.matchAll(/\bid\s*:\s*'(\w+)'/g)].map(m => m[1]));
+    }
+    
+    // makeChoice('d_x', 'a') or makeChoice('d_x', param) inside fn(param),
+    // in which case the options are the literals fn() is called with
+    for (const match of html.matchAll(/\bmakeChoice\(\s*'(\w+)'\s*,\s*(?:'(\w+)'|(\w+))\s*\)/g)) {
+      const [, decId, literal, param] = match;
+      offer(decId, literal ? [literal] : callerLiterals(html, match.index, param));
+    }
+    
+    for (const match of html.matchAll(/\b(?:has|hasFlag|hasMemory)\(\s*'(\w+)'\s*\)/g)) {
+      scan.effects.add(match[1]);
+    }
+    for (const match of html.matchAll(/\bhas(?:Any|All)Flags?\(([^)]*)\)/g)) {
+      for (const id of match[1].matchAll(/'(\w+)'/g)) scan.effects.add(id[1]);
+    }
+    for (const match of html.matchAll(/\b(?:check|evaluate)\(\s*'([^']+)'\s*\)/g)) {
+      readCondition(match[1]);
+    }
+    for (const [helper, effectIds] of Object.entries(ENGINE_READS)) {
+      if (new RegExp(`\\b${helper}\\(`).test(html)) effectIds.forEach(id => scan.effects.add(id));
+    }
+  }
+  
+  if (fs.existsSync(scriptPath)) {
+    const script = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'));
+    const walk = steps => {
+      for (const step of steps || []) {
+        if (step?.choice) offer(step.choice, (step.options || []).map(o => o.id));
+        for (const branch of step?.branch || []) {
+          if (branch.when) readCondition(branch.when);
+          walk(branch.steps);
+        }
+      }
+    };
+    (script.scenes || []).forEach(scene => walk(scene.steps));
+  }
+  
+  // A boss ends through its decision, and its conditions can also read
+  // the battle's own numbers (boss_hp, act counters, ...)
+  for (const { boss } of bosses) {
+    if (boss.decision) offer(boss.decision, OUTCOMES);
+    
+    const counters = (boss.acts || []).map(act => act.counter).filter(Boolean);
+    const battleStats = Object.fromEntries([...BATTLE_STATS, ...counters].map(name => [name, {}]));
+    const graph = { ...data, stats: { ...data.stats, ...battleStats } };
+    const walk = node => {
+      if (Array.isArray(node)) return node.forEach(walk);
+      if (!node || typeof node !== 'object') return;
+      if (typeof node.when === 'string') readCondition(node.when, graph);
+      Object.values(node).forEach(walk);
+    };
+    walk(boss);
+  }
+  
+  return scan;
+}
+
+/**
+ * Text of the bracketed list starting at `open`
+ */
+function bracketed(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '[') depth++;
+    else if (text[i] === ']' && --depth === 0) return text.slice(open, i + 1);
+  }
+  return text.slice(open);
+}
+
+/**
+ * For a call inside `name(param) {` or `name = function(param) {`, the
+ * string literals `name(...)` is called with elsewhere. Null if the
+ * enclosing function can't be found.
+ */
+function callerLiterals(text, index, param) {
+  const definition = new RegExp(`(\\w+)\\s*(?:=\\s*(?:async\\s+)?function\\s*)?\\(\\s*${param}\\s*\\)\\s*\\{`, 'g');
+  const enclosing = [...text.slice(0, index).matchAll(definition)].at(-1);
+  if (!enclosing) return null;
+  
+  const calls = [...text.matchAll(new RegExp(`\\b${enclosing[1]}\\(\\s*'(\\w+)'\\s*\\)`, 'g'))];
+  return calls.length > 0 ? calls.map(m => m[1]) : null;
+}
+
 function setsEqual(a, b) {
   if (a.size !== b.size) return false;
   for (const item of a) {
@@ -275,5 +889,7 @@ function setsEqual(a, b) {
   return true;
 }
 
-// Run validation
-validate(DATA_PATH);
+export { scanTape };
+
+// Run validation, unless imported for scanTape
+if (process.argv[1] === fileURLToPath(import.meta.url)) validate(DATA_PATH);